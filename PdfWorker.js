@@ -0,0 +1,42 @@
+// PDF text extraction for the Focus Tracker Reader, run off the main thread.
+// Receives {type: 'extract', data, from, to} and posts one {type: 'page'}
+// message per page as soon as it is read, then {type: 'done'} or {type: 'error'}.
+
+// Loading the pdf.js worker script here too lets pdf.js parse in this thread
+// instead of starting a nested worker of its own
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/pdf.js/3.11.174/pdf.worker.min.js'
+);
+
+self.onmessage = async (event) => {
+    const { type, data, from, to } = event.data;
+    if (type !== 'extract') return;
+    
+    try {
+        const pdf = await pdfjsLib.getDocument({ data: data }).promise;
+        
+        for (let pageNum = from; pageNum <= to; pageNum++) {
+            const page = await pdf.getPage(pageNum);
+            const textContent = await page.getTextContent();
+            const viewport = page.getViewport({ scale: 1 });
+            
+            // Only what the layout heuristics read is sent back
+            const items = textContent.items.map(item => ({
+                str: item.str,
+                transform: item.transform,
+                width: item.width,
+                height: item.height,
+                hasEOL: item.hasEOL
+            }));
+            
+            self.postMessage({ type: 'page', pageNum: pageNum, items: items, width: viewport.width });
+            page.cleanup();
+        }
+        
+        self.postMessage({ type: 'done' });
+        pdf.destroy();
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message || String(error) });
+    }
+};
@@ -1,15 +1,110 @@
 // Focus Tracker Reader - Track words that break your attention
 
+// Built-in notes categories, used until the user customizes the list
+const DEFAULT_NOTE_CATEGORIES = [
+    { id: 'car', name: 'Car', emoji: '🚗', fileName: 'car-notes.txt' },
+    { id: 'files', name: 'Files', emoji: '📁', fileName: 'files-notes.txt' },
+    { id: 'passwords', name: 'Passwords', emoji: '🔐', fileName: 'passwords-notes.txt', encrypted: true },
+    { id: 'chess', name: 'Chess', emoji: '♟️', fileName: 'chess-notes.txt' },
+    { id: 'business', name: 'Business', emoji: '💼', fileName: 'business-notes.txt' },
+    { id: 'lotiontape', name: 'Lotion Tape', emoji: '🩹', fileName: 'lotion-tape-notes.txt' },
+    { id: 'investing', name: 'Investing', emoji: '💰', fileName: 'investing-notes.txt' },
+    { id: 'blender', name: 'Blender', emoji: '🎨', fileName: 'blender-notes.txt' },
+    { id: 'organicchemistry', name: 'Organic Chemistry', emoji: '🧪', fileName: 'organic-chemistry-notes.txt' },
+    { id: 'math', name: 'Math', emoji: '🔢', fileName: 'math-notes.txt' },
+    { id: 'biology', name: 'Biology', emoji: '🧬', fileName: 'biology-notes.txt' },
+    { id: '3dprinting', name: '3D Printing', emoji: '🖨️', fileName: '3d-printing-notes.txt' },
+    { id: 'python', name: 'Python', emoji: '🐍', fileName: 'python-notes.txt' },
+    { id: 'cprogramming', name: 'C Programming', emoji: '⚙️', fileName: 'c-programming-notes.txt' },
+    { id: 'cppprogramming', name: 'C++ Programming', emoji: '⚙️', fileName: 'cpp-programming-notes.txt' },
+    { id: 'website', name: 'Website', emoji: '🌐', fileName: 'website-notes.txt' },
+    { id: 'apartmentmaintenance', name: 'Apartment Maintenance', emoji: '🏠', fileName: 'apartment-maintenance-notes.txt' },
+    { id: 'leticiaclass', name: 'Leticia\'s Class', emoji: '📚', fileName: 'leticia-class-notes.txt' },
+    { id: 'leticiahealth', name: 'Leticia\'s Health', emoji: '💊', fileName: 'leticia-health-notes.txt' }
+];
+
+// Header written above each saved notes entry; placeholders are filled in when saving
+const DEFAULT_NOTE_HEADER_TEMPLATE = '### {date} {time} — {source}\nPage {page}\n> {sentence}';
+
+// Encrypted notes categories: the first line of their files, the PBKDF2 cost
+// for new passphrases, and how long an unlocked category stays open while idle
+const ENCRYPTED_NOTES_HEADER = 'FOCUS-TRACKER-ENCRYPTED-NOTES';
+const ENCRYPTED_NOTES_VERSION = 1;
+const NOTES_KDF_ITERATIONS = 600000;
+const NOTES_AUTO_LOCK_MS = 5 * 60 * 1000;
+
 class FocusTrackerReader {
     constructor() {
-        this.markedWords = new Map(); // word -> count
-        this.removedWords = []; // Array of {markedText, before, after}
+        this.markedWords = new Map(); // word (or space-separated phrase) -> count
+        this.removedWords = []; // Array of {markedText, before, after, isPhrase}
         this.markingMode = false;
         this.words = [];
         this.originalText = '';
+        this.originalHtml = ''; // Sanitized HTML when the document kept its structure
         this.textIsHidden = false;
         this.hiddenFromIndex = -1;
         
+        // What happens at a mark: 'end', 'sentence', 'paragraph', 'blur' or 'none'
+        this.gateMode = localStorage.getItem('gateMode') || 'end';
+        this.autoContinueSeconds = parseInt(localStorage.getItem('autoContinueSeconds')) || 0;
+        this.autoContinueTimer = null;
+        this.autoContinueRemaining = 0;
+        
+        // Focus analytics: timestamped reading events for this session
+        this.focusEvents = []; // Array of {type, time, index}; types: start, resume, mark, unmark, pause, continue, position
+        
+        // Keyboard cursor over word spans (-1 when unset)
+        this.cursorIndex = -1;
+        this.selectionAnchor = -1;
+        this.phraseAnchor = null; // Index of the first word of a shift-click phrase
+        
+        // Word state lives in this model; word spans are only a view of it and
+        // exist only for the blocks of text near the viewport
+        this.markedIndices = new Set();
+        this.phraseStarts = new Map(); // word index -> first word index of its phrase
+        this.knownIndices = new Set(); // word indices matching a known distractor
+        this.hiddenRange = null; // {start, end} of the words hidden behind the gate
+        this.speakingIndex = -1;
+        this.paragraphIds = []; // paragraph number of every word
+        this.paragraphCount = 0;
+        this.lastParagraphElement = undefined; // Block element of the last rendered text
+        this.wordBlocks = []; // {element, start, end, tokens, materialized}
+        this.wordElements = []; // word index -> span, for materialized blocks only
+        this.blockObserver = null;
+        
+        // Read-aloud (Web Speech API) state
+        this.speechSupported = 'speechSynthesis' in window;
+        this.isSpeaking = false; // True while read-aloud is playing or waiting at the Continue gate
+        this.speechIndex = 0; // Next word index to speak
+        this.speechPausedCursor = null; // Cursor position when read-aloud was paused, null before it starts
+        this.currentUtterance = null;
+        
+        // RSVP speed-reading state
+        this.rsvpActive = false;
+        this.rsvpPlaying = false;
+        this.rsvpIndex = 0; // Index of the first word in the current chunk
+        this.rsvpChunk = []; // Word indices currently on screen
+        this.rsvpTimer = null;
+        
+        // Known distractors from imports and past sessions
+        this.knownDistractors = new Map(); // word/phrase -> stats record
+        this.knownDistractorMatches = new Map(); // word/phrase -> occurrences in the current text
+        
+        // Offline dictionary state
+        this.popoverWord = null; // Word element the dictionary popover belongs to
+        this.popoverEntry = null;
+        
+        // Vocabulary review state
+        this.reviewQueue = [];
+        this.reviewCard = null;
+        this.reviewTotal = 0; // Cards due when the review started
+        this.reviewDeckSize = 0;
+        
+        // Undo/redo history of reading state snapshots
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxHistory = 100;
+        
         // Dragging state
         this.isDragging = false;
         this.dragOffsetX = 0;
@@ -18,31 +113,54 @@ class FocusTrackerReader {
         // PDF state
         this.loadedPdf = null;
         this.pdfFileName = '';
+        this.pdfData = null; // copy of the file bytes for the extraction worker
+        this.pdfExtraction = null; // {from, to, nextPage, cancelled, discarded, worker, ocrWorker, stopped}
+        this.tesseractLoading = null;
         
-        // File System Access API handles for different note types
-        this.notesFileHandles = {
-            car: null,
-            files: null,
-            passwords: null,
-            chess: null,
-            business: null,
-            lotiontape: null,
-            investing: null,
-            blender: null,
-            organicchemistry: null,
-            math: null,
-            biology: null,
-            '3dprinting': null,
-            python: null,
-            cprogramming: null,
-            cppprogramming: null,
-            website: null,
-            apartmentmaintenance: null,
-            leticiaclass: null,
-            leticiahealth: null
-        };
+        // Split view of the original PDF page
+        this.pdfSourceWords = []; // {text, page, x, y, width, height} per extracted word, in PDF units
+        this.wordSourceMap = []; // document word index -> pdfSourceWords index, filled on demand
+        this.wordSourceNext = 0;
+        this.sourceView = false;
+        this.sourcePageNum = 0;
+        this.sourceViewport = null;
+        this.sourceRenderTask = null;
+        this.sourceSyncFrame = null;
+        this.sourceCurrentIndex = -1;
+        
+        // EPUB state
+        this.loadedEpub = null; // {zip, title, chapters: [{title, path}]}
+        this.epubFileName = '';
+        this.epubChapterRange = null; // {from, to} of the last extracted chapters
+        
+        // Notes categories registry (persisted in localStorage)
+        this.noteCategories = this.loadNoteCategories();
+        this.retiredNoteCategoryIds = JSON.parse(localStorage.getItem('retiredNoteCategoryIds') || '[]'); // Ids of deleted categories, never reused
+        
+        // File System Access API handles for each notes category
+        this.notesFileHandles = {};
+        this.noteCategories.forEach(category => {
+            this.notesFileHandles[category.id] = null;
+        });
         this.currentNoteType = null; // Track which note type is currently being edited
-        this.db = null; // IndexedDB for persisting file handles
+        this.quoteIndices = []; // Words the open quote menu refers to
+        this.noteContext = null; // {word, sentence, page} of the word a note was started from
+        this.noteHeaderEnabled = localStorage.getItem('noteHeaderEnabled') !== 'false';
+        this.noteHeaderTemplate = localStorage.getItem('noteHeaderTemplate') || DEFAULT_NOTE_HEADER_TEMPLATE;
+        this.notesEncryption = JSON.parse(localStorage.getItem('notesEncryption') || '{}'); // noteType -> {salt, iterations, verifier}
+        this.notesKeys = new Map(); // noteType -> {key, salt, iterations} of unlocked categories, never persisted
+        this.notesLockTimer = null;
+        this.lockedDraft = null; // {noteType, payload}: an unsaved draft kept encrypted while its category is locked
+        this.notesSearchIndex = null; // {passages, terms, totalLength, skipped}, rebuilt whenever search opens
+        this.notesSearchHits = [];
+        this.notesSearchTimer = null;
+        this.db = null; // IndexedDB for persisting file handles and reading sessions
+        
+        // Reading session persistence state
+        this.currentSessionId = null;
+        this.sessionCreatedAt = null;
+        this.sessionSaveTimer = null;
+        this.pdfPageRange = null; // {from, to} of the last extracted PDF pages
         
         this.init();
     }
@@ -53,12 +171,13 @@ class FocusTrackerReader {
         this.initPdfJs();
         this.checkFileSystemSupport();
         this.initIndexedDB();
+        this.initSpeech();
     }
     
     async initIndexedDB() {
         // Initialize IndexedDB to store file handle persistently
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open('FocusTrackerDB', 1);
+            const request = indexedDB.open('FocusTrackerDB', 6);
             
             request.onerror = () => {
                 console.error('IndexedDB failed to open');
@@ -68,6 +187,9 @@ class FocusTrackerReader {
             request.onsuccess = (event) => {
                 this.db = event.target.result;
                 this.loadFileHandle();
+                this.loadSessionList();
+                this.updateVocabularyBadge();
+                this.loadKnownDistractors();
                 resolve();
             };
             
@@ -76,6 +198,28 @@ class FocusTrackerReader {
                 if (!db.objectStoreNames.contains('fileHandles')) {
                     db.createObjectStore('fileHandles');
                 }
+                // Version 2: full reading sessions keyed by session id
+                if (!db.objectStoreNames.contains('sessions')) {
+                    db.createObjectStore('sessions', { keyPath: 'id' });
+                }
+                // Version 3: spaced-repetition vocabulary cards keyed by cleaned word
+                if (!db.objectStoreNames.contains('vocabulary')) {
+                    const vocabulary = db.createObjectStore('vocabulary', { keyPath: 'word' });
+                    vocabulary.createIndex('due', 'due');
+                }
+                // Version 4: offline dictionary entries keyed by lowercase headword
+                if (!db.objectStoreNames.contains('dictionary')) {
+                    db.createObjectStore('dictionary', { keyPath: 'word' });
+                }
+                // Version 5: known distractors carried across documents
+                if (!db.objectStoreNames.contains('distractors')) {
+                    db.createObjectStore('distractors', { keyPath: 'word' });
+                }
+                // Version 6: every saved notes entry, for each category's history
+                if (!db.objectStoreNames.contains('noteEntries')) {
+                    const noteEntries = db.createObjectStore('noteEntries', { keyPath: 'id', autoIncrement: true });
+                    noteEntries.createIndex('category', 'category');
+                }
             };
         });
     }
@@ -84,7 +228,7 @@ class FocusTrackerReader {
         // Try to load the saved file handles from IndexedDB
         if (!this.db) return;
         
-        const noteTypes = ['car', 'files', 'passwords', 'chess', 'business', 'lotiontape', 'investing', 'blender', 'organicchemistry', 'math', 'biology', '3dprinting', 'python', 'cprogramming', 'cppprogramming', 'website', 'apartmentmaintenance', 'leticiaclass', 'leticiahealth'];
+        const noteTypes = this.noteCategories.map(category => category.id);
         
         for (const noteType of noteTypes) {
             try {
@@ -136,6 +280,307 @@ class FocusTrackerReader {
         }
     }
     
+    idbRequest(request) {
+        // Wrap an IndexedDB request in a promise
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    idbTransactionDone(transaction) {
+        // Resolve once every request in a transaction has been committed
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+    
+    scheduleSessionSave() {
+        // Debounce autosave so rapid marking doesn't hammer IndexedDB
+        if (!this.currentSessionId) return;
+        
+        clearTimeout(this.sessionSaveTimer);
+        this.sessionSaveTimer = setTimeout(() => this.saveSession(), 500);
+    }
+    
+    getSessionTitle() {
+        if (this.pdfPageRange && this.pdfFileName) {
+            return `${this.pdfFileName} (pages ${this.pdfPageRange.from}-${this.pdfPageRange.to})`;
+        }
+        if (this.epubChapterRange && this.epubFileName) {
+            return `${this.epubFileName} (chapters ${this.epubChapterRange.from}-${this.epubChapterRange.to})`;
+        }
+        
+        // Fall back to the first few words of the document
+        const firstWords = this.originalText.trim().split(/\s+/).slice(0, 8).join(' ');
+        return firstWords.length < this.originalText.trim().length ? firstWords + '…' : firstWords;
+    }
+    
+    async saveSession() {
+        if (!this.db || !this.currentSessionId) return;
+        
+        clearTimeout(this.sessionSaveTimer);
+        
+        const session = {
+            id: this.currentSessionId,
+            title: this.getSessionTitle(),
+            ...this.getReadingState(),
+            pdfFileName: this.pdfFileName,
+            pdfPageRange: this.pdfPageRange,
+            epubFileName: this.epubFileName,
+            epubChapterRange: this.epubChapterRange,
+            focusEvents: this.focusEvents,
+            wordCount: this.words.length,
+            createdAt: this.sessionCreatedAt,
+            updatedAt: Date.now()
+        };
+        
+        try {
+            const transaction = this.db.transaction(['sessions'], 'readwrite');
+            const store = transaction.objectStore('sessions');
+            await this.idbRequest(store.put(session));
+        } catch (error) {
+            console.error('Error saving reading session:', error);
+        }
+    }
+    
+    async loadSessionList() {
+        if (!this.db || !this.resumeSessionsPanel) return;
+        
+        let sessions = [];
+        try {
+            const transaction = this.db.transaction(['sessions'], 'readonly');
+            const store = transaction.objectStore('sessions');
+            sessions = await this.idbRequest(store.getAll());
+        } catch (error) {
+            console.error('Error loading reading sessions:', error);
+        }
+        
+        if (sessions.length === 0) {
+            this.resumeSessionsPanel.style.display = 'none';
+            return;
+        }
+        
+        // Most recently updated first
+        sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+        
+        this.resumeSessionsList.innerHTML = '';
+        sessions.forEach(session => {
+            const markCount = session.markedIndices ? session.markedIndices.length : 0;
+            const removedCount = session.removedWords ? session.removedWords.length : 0;
+            
+            const item = document.createElement('div');
+            item.className = 'session-item';
+            item.innerHTML = `
+                <div class="session-item-info">
+                    <div class="session-item-title">${this.escapeHtml(session.title || 'Untitled session')}</div>
+                    <div class="session-item-meta">
+                        ${this.escapeHtml(new Date(session.updatedAt).toLocaleString())} ·
+                        ${session.wordCount || 0} words · ${markCount} marked · ${removedCount} removed
+                    </div>
+                </div>
+                <button class="btn-primary session-resume-btn">Resume</button>
+                <button class="btn-secondary session-delete-btn" title="Delete session">✕</button>
+            `;
+            
+            item.querySelector('.session-resume-btn').addEventListener('click', () => this.resumeSession(session.id));
+            item.querySelector('.session-delete-btn').addEventListener('click', () => this.deleteSession(session.id));
+            
+            this.resumeSessionsList.appendChild(item);
+        });
+        
+        this.resumeSessionsPanel.style.display = 'block';
+    }
+    
+    async resumeSession(sessionId) {
+        if (!this.db) return;
+        
+        let session;
+        try {
+            const transaction = this.db.transaction(['sessions'], 'readonly');
+            const store = transaction.objectStore('sessions');
+            session = await this.idbRequest(store.get(sessionId));
+        } catch (error) {
+            console.error('Error loading reading session:', error);
+        }
+        
+        if (!session) {
+            alert('This session could not be found.');
+            this.loadSessionList();
+            return;
+        }
+        
+        // Restore document state; page positions belong to the last extraction only
+        this.cancelPdfExtraction(true);
+        this.pdfSourceWords = [];
+        this.currentSessionId = session.id;
+        this.sessionCreatedAt = session.createdAt;
+        this.pdfFileName = session.pdfFileName || '';
+        this.pdfPageRange = session.pdfPageRange || null;
+        this.epubFileName = session.epubFileName || '';
+        this.epubChapterRange = session.epubChapterRange || null;
+        this.focusEvents = session.focusEvents || [];
+        this.recordFocusEvent('resume');
+        this.originalText = '';
+        this.originalHtml = '';
+        this.applyReadingState(session);
+        this.resetHistory();
+        
+        // Hide input section, show reading section
+        document.querySelector('.input-section').style.display = 'none';
+        this.readingSection.style.display = 'block';
+        this.floatingControls.style.display = 'block';
+    }
+    
+    getReadingState() {
+        // Phrases are stored as [start, end] word index ranges
+        const phraseEnds = new Map();
+        this.phraseStarts.forEach((start, index) => {
+            phraseEnds.set(start, Math.max(phraseEnds.get(start) || start, index));
+        });
+        
+        return {
+            originalText: this.originalText,
+            originalHtml: this.originalHtml,
+            markedWords: Array.from(this.markedWords.entries()),
+            // Marks are stored per word index so only the clicked instances are restored
+            markedIndices: Array.from(this.markedIndices).sort((a, b) => a - b),
+            markedPhrases: Array.from(phraseEnds.entries()),
+            removedWords: this.removedWords.slice(),
+            hiddenFromIndex: this.hiddenFromIndex,
+            textIsHidden: this.textIsHidden
+        };
+    }
+    
+    applyReadingState(state) {
+        // Re-render only when the document text itself changed
+        const stateHtml = state.originalHtml || '';
+        if (state.originalText !== this.originalText || stateHtml !== this.originalHtml) {
+            this.originalText = state.originalText;
+            this.originalHtml = stateHtml;
+            this.markedWords.clear();
+            this.renderText();
+        }
+        
+        this.removedWords = (state.removedWords || []).slice();
+        this.markedWords = new Map(state.markedWords || []);
+        
+        const wordCount = this.words.length;
+        this.markedIndices = new Set((state.markedIndices || []).filter(index => index < wordCount));
+        this.phraseStarts = new Map();
+        (state.markedPhrases || []).forEach(([start, end]) => {
+            for (let index = start; index <= end && index < wordCount; index++) {
+                this.phraseStarts.set(index, start);
+            }
+        });
+        
+        // Restore the hidden position if reading was paused at a mark. The gate
+        // flag is kept until then so only showing or lifting the gate is logged
+        this.hiddenFromIndex = -1;
+        this.hiddenRange = null;
+        this.continueBtn.style.display = 'none';
+        this.cancelAutoContinue();
+        if (state.textIsHidden && state.hiddenFromIndex >= 0 && state.hiddenFromIndex < wordCount) {
+            this.hideTextFrom(state.hiddenFromIndex);
+        }
+        if (this.textIsHidden && !this.hiddenRange) {
+            this.textIsHidden = false;
+            this.recordFocusEvent('continue');
+        }
+        this.refreshWordStates();
+        
+        this.updateMarkedCount();
+        this.updateRemovedCount();
+    }
+    
+    async deleteSession(sessionId) {
+        if (!this.db) return;
+        
+        if (!confirm('Delete this saved session? Its marks and removed words will be lost.')) {
+            return;
+        }
+        
+        try {
+            const transaction = this.db.transaction(['sessions'], 'readwrite');
+            const store = transaction.objectStore('sessions');
+            await this.idbRequest(store.delete(sessionId));
+        } catch (error) {
+            console.error('Error deleting reading session:', error);
+        }
+        
+        this.loadSessionList();
+    }
+    
+    async deleteFileHandle(noteType) {
+        // Forget a saved file handle (used when a category is deleted)
+        if (!this.db) return;
+        
+        try {
+            const transaction = this.db.transaction(['fileHandles'], 'readwrite');
+            const store = transaction.objectStore('fileHandles');
+            store.delete(`${noteType}NotesFileHandle`);
+        } catch (error) {
+            console.error(`Error deleting ${noteType} file handle:`, error);
+        }
+    }
+    
+    loadNoteCategories() {
+        // Load the user's categories, falling back to the built-in list
+        try {
+            const saved = JSON.parse(localStorage.getItem('noteCategories'));
+            if (Array.isArray(saved) && saved.length > 0) {
+                // Lists saved before encryption existed still get it for passwords
+                saved.forEach(category => {
+                    if (category.id === 'passwords' && category.encrypted === undefined) {
+                        category.encrypted = true;
+                    }
+                });
+                return saved;
+            }
+        } catch (error) {
+            console.error('Error loading note categories:', error);
+        }
+        return DEFAULT_NOTE_CATEGORIES.map(category => ({ ...category }));
+    }
+    
+    isNoteCategoryIdTaken(id) {
+        // Also taken: ids that still have notes stored from before they were deleted
+        return !!this.getNoteCategory(id) ||
+            this.retiredNoteCategoryIds.includes(id) ||
+            localStorage.getItem(`${id}Notes`) !== null ||
+            !!this.notesEncryption[id];
+    }
+    
+    saveNoteCategories() {
+        localStorage.setItem('noteCategories', JSON.stringify(this.noteCategories));
+    }
+    
+    getNoteCategory(noteType) {
+        return this.noteCategories.find(category => category.id === noteType) || null;
+    }
+    
+    getNoteTitle(noteType) {
+        const category = this.getNoteCategory(noteType);
+        return category ? `${category.emoji} ${category.name} Notes` : '📝 Notes';
+    }
+    
+    getNoteFileName(noteType) {
+        const category = this.getNoteCategory(noteType);
+        if (category && category.fileName) {
+            return category.fileName;
+        }
+        return `${this.slugify(category ? category.name : noteType)}-notes.txt`;
+    }
+    
+    slugify(text) {
+        return text.toLowerCase()
+            .replace(/[^a-z0-9+]+/g, '-')
+            .replace(/\+/g, 'p')
+            .replace(/^-+|-+$/g, '') || 'notes';
+    }
+    
     initPdfJs() {
         // Set up PDF.js worker
         if (typeof pdfjsLib !== 'undefined') {
@@ -161,7 +606,15 @@ class FocusTrackerReader {
         this.pageFrom = document.getElementById('pageFrom');
         this.pageTo = document.getElementById('pageTo');
         this.extractPagesBtn = document.getElementById('extractPagesBtn');
+        this.chapterSelectionPanel = document.getElementById('chapterSelectionPanel');
+        this.epubTitleDisplay = document.getElementById('epubTitle');
+        this.totalChaptersDisplay = document.getElementById('totalChapters');
+        this.chapterFrom = document.getElementById('chapterFrom');
+        this.chapterTo = document.getElementById('chapterTo');
+        this.extractChaptersBtn = document.getElementById('extractChaptersBtn');
         this.startReadingBtn = document.getElementById('startReadingBtn');
+        this.resumeSessionsPanel = document.getElementById('resumeSessionsPanel');
+        this.resumeSessionsList = document.getElementById('resumeSessionsList');
         this.readingSection = document.getElementById('readingSection');
         this.markingModeToggle = document.getElementById('markingModeToggle');
         this.markingModeToggleFloat = document.getElementById('markingModeToggleFloat');
@@ -171,10 +624,22 @@ class FocusTrackerReader {
         this.loadingIndicator = document.getElementById('loadingIndicator');
         this.progressFill = document.getElementById('progressFill');
         this.progressText = document.getElementById('progressText');
+        this.cancelLoadingBtn = document.getElementById('cancelLoadingBtn');
         this.continueBtn = document.getElementById('continueBtn');
+        this.gateModeSelect = document.getElementById('gateMode');
+        this.autoContinueInput = document.getElementById('autoContinueSeconds');
         this.markedCount = document.getElementById('markedCount');
         this.removedCount = document.getElementById('removedCount');
         this.showSummaryBtn = document.getElementById('showSummaryBtn');
+        this.showAnalyticsBtn = document.getElementById('showAnalyticsBtn');
+        this.analyticsPanel = document.getElementById('analyticsPanel');
+        this.closeAnalyticsBtn = document.getElementById('closeAnalyticsBtn');
+        this.analyticsWpm = document.getElementById('analyticsWpm');
+        this.analyticsDistractionRate = document.getElementById('analyticsDistractionRate');
+        this.analyticsPausedTime = document.getElementById('analyticsPausedTime');
+        this.analyticsReadingTime = document.getElementById('analyticsReadingTime');
+        this.analyticsDetails = document.getElementById('analyticsDetails');
+        this.analyticsTrend = document.getElementById('analyticsTrend');
         this.floatingControls = document.getElementById('floatingControls');
         this.summaryPanel = document.getElementById('summaryPanel');
         this.closeSummaryBtn = document.getElementById('closeSummaryBtn');
@@ -183,29 +648,147 @@ class FocusTrackerReader {
         this.summaryList = document.getElementById('summaryList');
         this.exportBtn = document.getElementById('exportBtn');
         this.copyBtn = document.getElementById('copyBtn');
+        this.exportModal = document.getElementById('exportModal');
+        this.exportPreview = document.getElementById('exportPreview');
+        this.downloadExportBtn = document.getElementById('downloadExportBtn');
+        this.copyExportBtn = document.getElementById('copyExportBtn');
+        this.cancelExportBtn = document.getElementById('cancelExportBtn');
+        
+        // Read-aloud elements
+        this.speechControls = document.getElementById('speechControls');
+        this.speechToggleBtn = document.getElementById('speechToggleBtn');
+        this.speechRate = document.getElementById('speechRate');
+        this.speechRateValue = document.getElementById('speechRateValue');
+        this.speechVoice = document.getElementById('speechVoice');
+        
+        // RSVP elements
+        this.rsvpBtnFloat = document.getElementById('rsvpBtnFloat');
+        this.sourceViewBtnFloat = document.getElementById('sourceViewBtnFloat');
+        this.readingLayout = document.getElementById('readingLayout');
+        this.sourcePane = document.getElementById('sourcePane');
+        this.sourcePageLabel = document.getElementById('sourcePageLabel');
+        this.sourceCanvas = document.getElementById('sourceCanvas');
+        this.sourceHighlights = document.getElementById('sourceHighlights');
+        this.closeSourcePaneBtn = document.getElementById('closeSourcePaneBtn');
+        this.rsvpPanel = document.getElementById('rsvpPanel');
+        this.rsvpWord = document.getElementById('rsvpWord');
+        this.rsvpStatus = document.getElementById('rsvpStatus');
+        this.rsvpPlayBtn = document.getElementById('rsvpPlayBtn');
+        this.rsvpMarkBtn = document.getElementById('rsvpMarkBtn');
+        this.rsvpExitBtn = document.getElementById('rsvpExitBtn');
+        this.rsvpWpm = document.getElementById('rsvpWpm');
+        this.rsvpChunkSize = document.getElementById('rsvpChunkSize');
+        
+        // Vocabulary deck elements
+        this.reviewDeckBtn = document.getElementById('reviewDeckBtn');
+        this.reviewDeckBtnFloat = document.getElementById('reviewDeckBtnFloat');
+        this.vocabularyPanel = document.getElementById('vocabularyPanel');
+        this.closeVocabularyBtn = document.getElementById('closeVocabularyBtn');
+        this.vocabularyProgress = document.getElementById('vocabularyProgress');
+        this.vocabularyCard = document.getElementById('vocabularyCard');
+        this.vocabularyFront = document.getElementById('vocabularyFront');
+        this.vocabularyBack = document.getElementById('vocabularyBack');
+        this.showAnswerBtn = document.getElementById('showAnswerBtn');
+        this.gradeButtons = document.getElementById('gradeButtons');
+        this.deleteCardBtn = document.getElementById('deleteCardBtn');
+        
+        // Notes search elements
+        this.notesSearchPanel = document.getElementById('notesSearchPanel');
+        this.closeNotesSearchBtn = document.getElementById('closeNotesSearchBtn');
+        this.notesSearchInput = document.getElementById('notesSearchInput');
+        this.notesSearchStatus = document.getElementById('notesSearchStatus');
+        this.notesSearchResults = document.getElementById('notesSearchResults');
+        
+        // Known distractor elements
+        this.distractorsUpload = document.getElementById('distractorsUpload');
+        this.distractorsFromSessionsBtn = document.getElementById('distractorsFromSessionsBtn');
+        this.clearDistractorsBtn = document.getElementById('clearDistractorsBtn');
+        this.distractorsStatus = document.getElementById('distractorsStatus');
+        this.knownDistractorSummary = document.getElementById('knownDistractorSummary');
+        this.analyticsDistractors = document.getElementById('analyticsDistractors');
+        
+        // Dictionary elements
+        this.dictionaryUpload = document.getElementById('dictionaryUpload');
+        this.dictionaryStatus = document.getElementById('dictionaryStatus');
+        this.dictionaryPopover = document.getElementById('dictionaryPopover');
+        this.dictionaryContent = document.getElementById('dictionaryContent');
+        this.dictionaryMarkBtn = document.getElementById('dictionaryMarkBtn');
+        this.dictionaryNotesBtn = document.getElementById('dictionaryNotesBtn');
+        this.quoteMenu = document.getElementById('quoteMenu');
+        this.quoteToNotesBtn = document.getElementById('quoteToNotesBtn');
         
         // Notes modal elements
         this.notesModal = document.getElementById('notesModal');
         this.notesTextarea = document.getElementById('notesTextarea');
+        this.notesCategorySelect = document.getElementById('notesCategorySelect');
+        this.notesPreview = document.getElementById('notesPreview');
+        this.notesToolbar = document.getElementById('notesToolbar');
+        this.notesWritePanel = document.getElementById('notesWritePanel');
+        this.notesHistoryPanel = document.getElementById('notesHistoryPanel');
+        this.notesTabs = this.notesModal.querySelectorAll('.notes-tab');
+        this.notesTabsBar = this.notesModal.querySelector('.notes-tabs');
+        this.notesLockPanel = document.getElementById('notesLockPanel');
+        this.notesLockMessage = document.getElementById('notesLockMessage');
+        this.notesPassphrase = document.getElementById('notesPassphrase');
+        this.notesPassphraseConfirm = document.getElementById('notesPassphraseConfirm');
+        this.unlockNotesBtn = document.getElementById('unlockNotesBtn');
+        this.notesLockError = document.getElementById('notesLockError');
+        this.lockNotesBtn = document.getElementById('lockNotesBtn');
+        this.noteHeaderToggle = document.getElementById('noteHeaderToggle');
+        this.editNoteHeaderBtn = document.getElementById('editNoteHeaderBtn');
+        this.noteHeaderEditor = document.getElementById('noteHeaderEditor');
+        this.noteHeaderTemplateInput = document.getElementById('noteHeaderTemplate');
+        this.resetNoteHeaderBtn = document.getElementById('resetNoteHeaderBtn');
         this.saveNotesBtn = document.getElementById('saveNotesBtn');
         this.cancelNotesBtn = document.getElementById('cancelNotesBtn');
+        
+        // Categories manager elements
+        this.categoriesModal = document.getElementById('categoriesModal');
+        this.categoriesList = document.getElementById('categoriesList');
+        this.addCategoryBtn = document.getElementById('addCategoryBtn');
+        this.saveCategoriesBtn = document.getElementById('saveCategoriesBtn');
+        this.cancelCategoriesBtn = document.getElementById('cancelCategoriesBtn');
     }
     
     attachEventListeners() {
         this.startReadingBtn.addEventListener('click', () => this.startReading());
         this.pdfUpload.addEventListener('change', (e) => this.handlePdfUpload(e));
         this.extractPagesBtn.addEventListener('click', () => this.extractSelectedPages());
+        this.cancelLoadingBtn.addEventListener('click', () => this.cancelPdfExtraction());
+        this.extractChaptersBtn.addEventListener('click', () => this.extractSelectedChapters());
         this.markingModeToggle.addEventListener('change', (e) => this.toggleMarkingMode(e.target.checked));
         this.markingModeToggleFloat.addEventListener('change', (e) => this.toggleMarkingMode(e.target.checked));
         this.showSummaryBtn.addEventListener('click', () => this.showSummary());
         this.closeSummaryBtn.addEventListener('click', () => this.hideSummary());
+        this.showAnalyticsBtn.addEventListener('click', () => this.showAnalytics());
+        this.closeAnalyticsBtn.addEventListener('click', () => this.hideAnalytics());
         
         // Floating control buttons
         this.clearMarksBtnFloat = document.getElementById('clearMarksBtnFloat');
+        this.removeMarkedBtnFloat = document.getElementById('removeMarkedBtnFloat');
+        this.undoBtnFloat = document.getElementById('undoBtnFloat');
+        this.redoBtnFloat = document.getElementById('redoBtnFloat');
+        this.newDocumentBtnFloat = document.getElementById('newDocumentBtnFloat');
         
         if (this.clearMarksBtnFloat) {
             this.clearMarksBtnFloat.addEventListener('click', () => this.clearAllMarks());
         }
+        if (this.removeMarkedBtnFloat) {
+            this.removeMarkedBtnFloat.addEventListener('click', () => this.removeMarkedWords());
+        }
+        if (this.undoBtnFloat) {
+            this.undoBtnFloat.addEventListener('click', () => this.undo());
+        }
+        if (this.redoBtnFloat) {
+            this.redoBtnFloat.addEventListener('click', () => this.redo());
+        }
+        if (this.newDocumentBtnFloat) {
+            this.newDocumentBtnFloat.addEventListener('click', () => this.newDocument());
+        }
+        
+        // Undo/redo and reading mode keyboard shortcuts
+        document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+        document.addEventListener('keydown', (e) => this.handleReadingKeydown(e));
         
         // Notes dropdown
         this.notesBtnFloat = document.getElementById('notesBtnFloat');
@@ -225,16 +808,29 @@ class FocusTrackerReader {
                 }
             });
             
+            // Build dropdown items from the categories registry
+            this.renderNotesDropdown();
+            
             // Handle dropdown item clicks
-            const dropdownItems = this.notesDropdown.querySelectorAll('.notes-dropdown-item');
-            dropdownItems.forEach(item => {
-                item.addEventListener('click', (e) => {
-                    const noteType = e.target.getAttribute('data-note-type');
-                    // Set this as the current note type for the session
-                    this.currentNoteType = noteType;
-                    this.hideNotesDropdown();
-                    this.openNotes(noteType);
-                });
+            this.notesDropdown.addEventListener('click', (e) => {
+                const item = e.target.closest('.notes-dropdown-item');
+                if (!item) return;
+                
+                this.hideNotesDropdown();
+                
+                if (item.dataset.action === 'manage-categories') {
+                    this.openCategoriesManager();
+                    return;
+                }
+                if (item.dataset.action === 'search-notes') {
+                    this.openNotesSearch();
+                    return;
+                }
+                
+                const noteType = item.getAttribute('data-note-type');
+                // Set this as the current note type for the session
+                this.currentNoteType = noteType;
+                this.openNotes(noteType);
             });
             
             // Close dropdown when clicking outside
@@ -248,16 +844,149 @@ class FocusTrackerReader {
             });
         }
         
-        this.exportBtn.addEventListener('click', () => this.exportList());
+        this.exportBtn.addEventListener('click', () => this.openExportDialog());
+        if (this.exportModal) {
+            this.exportModal.querySelectorAll('input[name="exportFormat"]').forEach(input => {
+                input.addEventListener('change', () => this.updateExportPreview());
+            });
+            this.downloadExportBtn.addEventListener('click', () => this.exportList());
+            this.copyExportBtn.addEventListener('click', () => this.copyExport());
+            this.cancelExportBtn.addEventListener('click', () => this.closeExportDialog());
+            this.exportModal.addEventListener('click', (e) => {
+                if (e.target === this.exportModal) this.closeExportDialog();
+            });
+        }
         this.copyBtn.addEventListener('click', () => this.copyToClipboard());
         this.continueBtn.addEventListener('click', () => this.continueReading());
         
+        // Gate settings
+        if (this.gateModeSelect) {
+            this.gateModeSelect.value = this.gateMode;
+            this.autoContinueInput.value = this.autoContinueSeconds;
+            this.gateModeSelect.addEventListener('change', () => this.saveGateSettings());
+            this.autoContinueInput.addEventListener('change', () => this.saveGateSettings());
+            this.readingContent.classList.toggle('gate-blur', this.gateMode === 'blur');
+        }
+        
+        // Read-aloud controls
+        if (this.speechToggleBtn) {
+            this.speechToggleBtn.addEventListener('click', () => this.toggleSpeech());
+            this.speechRate.addEventListener('input', () => this.handleSpeechSettingChange());
+            this.speechVoice.addEventListener('change', () => this.handleSpeechSettingChange());
+        }
+        
+        // RSVP speed-reading controls
+        this.sourceViewBtnFloat.addEventListener('click', () => this.toggleSourceView());
+        this.closeSourcePaneBtn.addEventListener('click', () => this.toggleSourceView(false));
+        window.addEventListener('scroll', () => this.scheduleSourceSync(), { passive: true });
+        window.addEventListener('resize', () => {
+            // Redraw the page at the new pane width
+            this.sourcePageNum = 0;
+            this.scheduleSourceSync();
+        });
+        
+        if (this.rsvpBtnFloat) {
+            this.rsvpBtnFloat.addEventListener('click', () => this.startRsvp());
+            this.rsvpPlayBtn.addEventListener('click', () => this.toggleRsvpPlayback());
+            this.rsvpMarkBtn.addEventListener('click', () => this.markRsvpChunk());
+            this.rsvpExitBtn.addEventListener('click', () => this.exitRsvp());
+            this.rsvpWpm.addEventListener('change', () => this.saveRsvpSettings());
+            this.rsvpChunkSize.addEventListener('change', () => {
+                this.saveRsvpSettings();
+                this.showRsvpChunk();
+            });
+        }
+        
+        // Known distractors
+        if (this.distractorsUpload) {
+            this.distractorsUpload.addEventListener('change', (e) => this.handleDistractorsUpload(e));
+            this.distractorsFromSessionsBtn.addEventListener('click', () => this.buildDistractorsFromSessions());
+            this.clearDistractorsBtn.addEventListener('click', () => this.clearKnownDistractors());
+        }
+        
+        // Offline dictionary
+        if (this.dictionaryUpload) {
+            this.dictionaryUpload.addEventListener('change', (e) => this.handleDictionaryUpload(e));
+            this.dictionaryMarkBtn.addEventListener('click', () => this.markPopoverWord());
+            this.dictionaryNotesBtn.addEventListener('click', () => this.sendDefinitionToNotes());
+            this.updateDictionaryStatus();
+            
+            // Close the popover when clicking anywhere but a word or the popover itself
+            document.addEventListener('click', (e) => {
+                if (this.dictionaryPopover.style.display === 'block' &&
+                    !this.dictionaryPopover.contains(e.target) &&
+                    !e.target.classList.contains('word')) {
+                    this.hideDictionaryPopover();
+                }
+            });
+        }
+        
+        // Vocabulary deck controls
+        [this.reviewDeckBtn, this.reviewDeckBtnFloat].forEach(button => {
+            if (button) button.addEventListener('click', () => this.openVocabularyReview());
+        });
+        if (this.vocabularyPanel) {
+            this.closeVocabularyBtn.addEventListener('click', () => this.hideVocabularyReview());
+            this.showAnswerBtn.addEventListener('click', () => this.revealReviewCard());
+            this.deleteCardBtn.addEventListener('click', () => this.deleteReviewCard());
+            this.gradeButtons.querySelectorAll('button').forEach(button => {
+                button.addEventListener('click', () => this.gradeReviewCard(parseInt(button.dataset.quality)));
+            });
+            document.addEventListener('keydown', (e) => this.handleVocabularyKeydown(e));
+        }
+        
+        // Notes search
+        this.closeNotesSearchBtn.addEventListener('click', () => this.hideNotesSearch());
+        this.notesSearchInput.addEventListener('input', () => {
+            clearTimeout(this.notesSearchTimer);
+            this.notesSearchTimer = setTimeout(() => this.runNotesSearch(), 150);
+        });
+        this.notesSearchPanel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideNotesSearch();
+            } else if (e.key === 'Enter' && e.target === this.notesSearchInput) {
+                this.runNotesSearch();
+                if (this.notesSearchHits.length > 0) this.openNotesSearchHit(this.notesSearchHits[0]);
+            }
+        });
+        this.notesSearchResults.addEventListener('click', (e) => {
+            const item = e.target.closest('.notes-search-result');
+            if (item) this.openNotesSearchHit(this.notesSearchHits[parseInt(item.dataset.hit)]);
+        });
+        
+        // Drag across several words to mark them as one phrase
+        this.readingContent.addEventListener('mouseup', () => this.handlePhraseSelection());
+        
+        // One delegated listener handles clicks on every word span
+        this.readingContent.addEventListener('click', (e) => {
+            const wordElement = e.target.closest('.word');
+            if (wordElement) this.handleWordClick(e, wordElement);
+        });
+        
+        // Right-click on a selection or marked words offers to quote them
+        this.readingContent.addEventListener('contextmenu', (e) => this.handleReadingContextMenu(e));
+        this.quoteToNotesBtn.addEventListener('click', () => this.quoteToNotes(this.quoteIndices));
+        document.addEventListener('click', (e) => {
+            if (!this.quoteMenu.contains(e.target)) this.hideQuoteMenu();
+        });
+        
         // Dragging functionality for floating controls
         this.setupDragging();
         
         // Capture paste events to preserve HTML formatting
         this.textInput.addEventListener('paste', (e) => this.handlePaste(e));
         
+        // Categories manager event listeners
+        if (this.addCategoryBtn) {
+            this.addCategoryBtn.addEventListener('click', () => this.addCategoryRow());
+        }
+        if (this.saveCategoriesBtn) {
+            this.saveCategoriesBtn.addEventListener('click', () => this.saveCategoriesFromManager());
+        }
+        if (this.cancelCategoriesBtn) {
+            this.cancelCategoriesBtn.addEventListener('click', () => this.closeCategoriesManager());
+        }
+        
         // Notes modal event listeners
         if (this.saveNotesBtn) {
             this.saveNotesBtn.addEventListener('click', () => this.saveNotes());
@@ -265,6 +994,53 @@ class FocusTrackerReader {
         if (this.cancelNotesBtn) {
             this.cancelNotesBtn.addEventListener('click', () => this.closeNotes());
         }
+        this.notesTextarea.addEventListener('input', () => {
+            // An emptied draft no longer belongs to the word it was started from
+            if (!this.notesTextarea.value.trim()) this.noteContext = null;
+            this.scheduleNotesPreview();
+            this.resetNotesAutoLock();
+        });
+        this.notesTextarea.addEventListener('keydown', (e) => this.handleNotesKeydown(e));
+        this.notesToolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-format]');
+            if (button) this.applyNotesFormat(button.dataset.format);
+        });
+        this.notesTabs.forEach(tab => {
+            tab.addEventListener('click', () => this.showNotesTab(tab.dataset.tab));
+        });
+        this.notesCategorySelect.addEventListener('change', () => this.setNoteCategory(this.notesCategorySelect.value));
+        
+        // Encrypted categories
+        this.unlockNotesBtn.addEventListener('click', () => this.unlockNotes());
+        [this.notesPassphrase, this.notesPassphraseConfirm].forEach(input => {
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.unlockNotes();
+            });
+        });
+        this.lockNotesBtn.addEventListener('click', () => this.lockNotes());
+        
+        // Entry header settings
+        this.noteHeaderToggle.checked = this.noteHeaderEnabled;
+        this.noteHeaderTemplateInput.value = this.noteHeaderTemplate;
+        this.noteHeaderToggle.addEventListener('change', () => this.saveNoteHeaderSettings());
+        this.noteHeaderTemplateInput.addEventListener('input', () => this.saveNoteHeaderSettings());
+        this.editNoteHeaderBtn.addEventListener('click', () => {
+            const open = this.noteHeaderEditor.style.display === 'none';
+            this.noteHeaderEditor.style.display = open ? 'block' : 'none';
+            if (open) this.noteHeaderTemplateInput.focus();
+        });
+        this.resetNoteHeaderBtn.addEventListener('click', () => {
+            this.noteHeaderTemplateInput.value = DEFAULT_NOTE_HEADER_TEMPLATE;
+            this.saveNoteHeaderSettings();
+        });
+        
+        // Flush pending session changes before the tab is hidden or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.recordReadingPosition();
+                this.saveSession();
+            }
+        });
         
         // Create overlay for summary panel
         this.createOverlay();
@@ -330,7 +1106,12 @@ class FocusTrackerReader {
     createOverlay() {
         this.overlay = document.createElement('div');
         this.overlay.className = 'summary-overlay';
-        this.overlay.addEventListener('click', () => this.hideSummary());
+        this.overlay.addEventListener('click', () => {
+            this.hideSummary();
+            this.hideAnalytics();
+            this.hideVocabularyReview();
+            this.hideNotesSearch();
+        });
         document.body.appendChild(this.overlay);
     }
     
@@ -365,13 +1146,22 @@ class FocusTrackerReader {
             return;
         }
         
+        // Check if it's an EPUB file
+        const isEpubFile = file.type === 'application/epub+zip' ||
+                           file.name.toLowerCase().endsWith('.epub');
+        
+        if (isEpubFile) {
+            await this.loadEpub(file);
+            return;
+        }
+        
         // Check if it's a PDF file
         const isPdfFile = file.type === 'application/pdf' || 
                           file.name.toLowerCase().endsWith('.pdf');
         
         // Handle PDF files
         if (!isPdfFile) {
-            this.uploadStatus.textContent = 'Please upload a PDF or TXT file';
+            this.uploadStatus.textContent = 'Please upload a PDF, EPUB or TXT file';
             this.uploadStatus.className = 'upload-status error';
             return;
         }
@@ -383,11 +1173,17 @@ class FocusTrackerReader {
             // Read file as array buffer
             const arrayBuffer = await file.arrayBuffer();
             
+            // getDocument takes over the buffer, so keep a copy for the extraction worker
+            this.cancelPdfExtraction(true);
+            this.pdfData = arrayBuffer.slice(0);
+            this.pdfSourceWords = [];
+            
             // Load PDF
             this.loadedPdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
             this.pdfFileName = file.name;
             
             // Show page selection panel
+            this.chapterSelectionPanel.style.display = 'none';
             this.pageSelectionPanel.style.display = 'block';
             this.pdfFileNameDisplay.textContent = this.pdfFileName;
             this.totalPagesDisplay.textContent = this.loadedPdf.numPages;
@@ -422,637 +1218,5042 @@ class FocusTrackerReader {
             return;
         }
         
-        this.showLoadingIndicator();
+        if (this.pdfExtraction) return;
         
-        try {
-            let extractedText = '';
-            const totalPages = toPage - fromPage + 1;
+        const extraction = { from: fromPage, to: toPage, nextPage: fromPage, cancelled: false, discarded: false, worker: null, ocrWorker: null };
+        extraction.stopped = new Promise(resolve => { extraction.stop = resolve; });
+        this.pdfExtraction = extraction;
+        this.pdfSourceWords = [];
+        this.showLoadingIndicator(true);
+        this.updateProgress(0, `Extracting page ${fromPage} of ${toPage}...`);
+        
+        // Running headers/footers can only be spotted across several pages, so
+        // reading starts once the first few are in and each later page is
+        // checked against the ones just before it
+        const headerWindow = 5;
+        const totalPages = toPage - fromPage + 1;
+        const rawPages = [];
+        let pendingText = '';
+        let lastPage = fromPage - 1;
+        let started = false;
+        
+        const deliver = (text, throughPage) => {
+            if (!text.trim()) return;
             
-            for (let pageNum = fromPage; pageNum <= toPage; pageNum++) {
-                // Update progress
-                const progress = ((pageNum - fromPage + 1) / totalPages) * 100;
-                this.updateProgress(progress, `Extracting page ${pageNum} of ${toPage}...`);
-                
-                const page = await this.loadedPdf.getPage(pageNum);
-                const textContent = await page.getTextContent();
-                const pageText = textContent.items.map(item => item.str).join(' ');
-                extractedText += pageText + '\n\n';
-                
-                // Small delay to allow UI updates
-                await new Promise(resolve => setTimeout(resolve, 50));
+            if (started) {
+                this.appendToDocument(text);
+            } else {
+                this.textInput.value = text;
+                this.pdfPageRange = { from: fromPage, to: throughPage };
+                this.epubChapterRange = null;
+                this.startReading();
+                this.loadingIndicator.classList.add('streaming');
+                started = true;
             }
+            this.pdfPageRange.to = throughPage;
+        };
+        
+        const streamPage = (pageText, pageNum) => {
+            // The last word decides how the next page joins on (hyphenated,
+            // same paragraph or a new one), so it waits for that page
+            pendingText = this.joinPageTexts([pendingText, pageText]);
+            const lastSpace = pendingText.search(/\s+\S*$/);
+            if (lastSpace <= 0) return;
             
-            this.textInput.value = extractedText.trim();
-            this.hideLoadingIndicator();
+            deliver(pendingText.slice(0, lastSpace), pageNum);
+            pendingText = pendingText.slice(lastSpace);
+        };
+        
+        const processPages = () => {
+            // New pages plus a few already streamed ones to compare them with
+            const processed = lastPage - fromPage + 1;
+            const windowStart = Math.max(0, processed - (headerWindow - 1));
+            const pages = rawPages.slice(windowStart);
+            this.removeRunningHeadersFooters(pages);
+            pages.slice(processed - windowStart).forEach(lines => {
+                lastPage++;
+                this.addPdfSourceWords(lines, lastPage);
+                streamPage(this.linesToParagraphs(lines), lastPage);
+            });
+        };
+        
+        const addPage = async (items, pageWidth, pageNum) => {
+            const progress = (pageNum - fromPage) / totalPages * 100;
+            let status = `Extracted page ${pageNum} of ${toPage}`;
+            
+            // A page without a text layer is most likely a scan
+            if (!items.some(item => item.str && item.str.trim())) {
+                this.updateProgress(progress, `Running OCR on page ${pageNum} of ${toPage}...`);
+                const recognized = await this.recognizePdfPage(pageNum, extraction);
+                if (extraction.cancelled) return;
+                
+                if (recognized) {
+                    items = recognized.items;
+                    pageWidth = recognized.width;
+                    status = `Page ${pageNum} of ${toPage}: OCR, ${Math.round(recognized.confidence)}% confidence`;
+                } else {
+                    status = `Page ${pageNum} of ${toPage} has no text layer and OCR is unavailable`;
+                }
+            }
             
-            alert(`Successfully extracted pages ${fromPage}-${toPage}`);
+            rawPages.push(this.buildPageLines(items, pageWidth));
+            this.updateProgress(rawPages.length / totalPages * 100, status);
             
+            if (rawPages.length >= Math.min(headerWindow, totalPages)) {
+                processPages();
+            }
+        };
+        
+        let failed = false;
+        try {
+            await this.readPdfPages(extraction, addPage);
         } catch (error) {
             console.error('PDF extraction error:', error);
-            this.hideLoadingIndicator();
-            alert('Error extracting pages from PDF');
+            failed = !extraction.cancelled;
+        }
+        
+        if (this.pdfExtraction === extraction) {
+            this.pdfExtraction = null;
+        }
+        if (extraction.ocrWorker) {
+            extraction.ocrWorker.then(worker => worker.terminate()).catch(() => {});
+        }
+        this.hideLoadingIndicator();
+        if (extraction.discarded || (extraction.cancelled && !started)) return;
+        
+        // Whatever arrived before a cancel or error is still worth reading
+        processPages();
+        deliver(pendingText, lastPage);
+        
+        if (started) {
+            this.highlightKnownDistractors();
+            this.saveSession();
+        }
+        
+        if (failed) {
+            alert(started
+                ? `Error extracting pages from PDF; pages ${fromPage}-${this.pdfPageRange.to} were loaded`
+                : 'Error extracting pages from PDF');
+        } else if (!started && !extraction.cancelled) {
+            alert(typeof Tesseract === 'undefined'
+                ? `No text found on pages ${fromPage}-${toPage}; scanned pages need the OCR library, which failed to load`
+                : `No text found on pages ${fromPage}-${toPage}`);
         }
     }
     
-    showLoadingIndicator() {
-        this.loadingIndicator.style.display = 'block';
-    }
-    
-    hideLoadingIndicator() {
-        this.loadingIndicator.style.display = 'none';
-        this.progressFill.style.width = '0%';
-        this.progressText.textContent = '0%';
-    }
-    
-    updateProgress(percentage, message = 'Processing...') {
-        const roundedPercentage = Math.round(percentage);
-        this.progressFill.style.width = `${roundedPercentage}%`;
-        this.progressText.textContent = `${roundedPercentage}%`;
+    readPdfPages(extraction, onPage) {
+        // Extract in a worker so long documents don't freeze the page; fall back
+        // to the main thread where workers can't be started (e.g. from file://)
+        if (typeof Worker === 'undefined' || !this.pdfData) {
+            return this.readPdfPagesInline(extraction, onPage);
+        }
         
-        const loadingText = this.loadingIndicator.querySelector('.loading-text');
-        if (loadingText) {
-            loadingText.textContent = message;
+        return this.readPdfPagesInWorker(extraction, onPage).catch(error => {
+            if (extraction.cancelled || extraction.nextPage > extraction.from) throw error;
+            console.warn('PDF worker unavailable, extracting on the main thread:', error);
+            return this.readPdfPagesInline(extraction, onPage);
+        });
+    }
+    
+    readPdfPagesInWorker(extraction, onPage) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker('PdfWorker.js');
+            extraction.worker = worker;
+            extraction.stopped.then(resolve);
+            
+            const fail = (error) => {
+                worker.terminate();
+                reject(error);
+            };
+            
+            // Pages are handed on in order, even while one of them waits for OCR
+            let queue = Promise.resolve();
+            
+            worker.onmessage = (event) => {
+                if (extraction.cancelled) return;
+                
+                const message = event.data;
+                if (message.type === 'page') {
+                    extraction.nextPage = message.pageNum + 1;
+                    queue = queue.then(() => {
+                        if (!extraction.cancelled) return onPage(message.items, message.width, message.pageNum);
+                    });
+                    queue.catch(fail);
+                } else if (message.type === 'done') {
+                    queue.then(() => {
+                        worker.terminate();
+                        resolve();
+                    }, fail);
+                } else if (message.type === 'error') {
+                    fail(new Error(message.message));
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                fail(new Error(event.message || 'PDF worker failed to load'));
+            };
+            
+            // The worker gets its own copy of the file, transferred rather than cloned
+            const data = this.pdfData.slice(0);
+            worker.postMessage({ type: 'extract', data: data, from: extraction.from, to: extraction.to }, [data]);
+        });
+    }
+    
+    async readPdfPagesInline(extraction, onPage) {
+        for (let pageNum = extraction.nextPage; pageNum <= extraction.to; pageNum++) {
+            const page = await this.loadedPdf.getPage(pageNum);
+            const textContent = await page.getTextContent();
+            if (extraction.cancelled) return;
+            
+            extraction.nextPage = pageNum + 1;
+            await onPage(textContent.items, page.getViewport({ scale: 1 }).width, pageNum);
+            
+            // Let the reader handle input between pages
+            await new Promise(resolve => setTimeout(resolve, 0));
         }
     }
     
-    startReading() {
-        let text = this.textInput.value.trim();
-        
-        if (!text) {
-            alert('Please enter some text or upload a PDF first!');
-            return;
+    async recognizePdfPage(pageNum, extraction) {
+        // Render the page and run OCR on the image; one OCR worker serves the
+        // whole extraction since loading its language data is the slow part
+        if (!extraction.ocrWorker) {
+            extraction.ocrWorker = this.loadTesseract().then(() => Tesseract.createWorker('eng'));
         }
         
-        // Check if text contains HTML tags
-        const hasHtmlTags = /<[^>]*>/g.test(text);
+        // About 200 dpi, plenty for body text
+        const scale = 3;
+        const page = await this.loadedPdf.getPage(pageNum);
+        const viewport = page.getViewport({ scale: scale });
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.floor(viewport.width);
+        canvas.height = Math.floor(viewport.height);
         
-        if (hasHtmlTags) {
-            // Extract text from HTML
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = text;
-            text = tempDiv.textContent || tempDiv.innerText || '';
+        let result;
+        try {
+            const ocrWorker = await extraction.ocrWorker;
+            if (extraction.cancelled) return null;
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport: viewport }).promise;
+            result = await Promise.race([ocrWorker.recognize(canvas), extraction.stopped]);
+        } catch (error) {
+            // Without OCR the page is reported as having no text layer; the
+            // rest of the document still imports
+            console.error('OCR error:', error);
+            if (extraction.ocrWorker) {
+                extraction.ocrWorker.then(worker => worker.terminate()).catch(() => {});
+                extraction.ocrWorker = null;
+            }
+            return null;
+        } finally {
+            canvas.width = 0;
+            canvas.height = 0;
         }
+        if (!result || extraction.cancelled) return null;
         
-        this.originalText = text;
-        this.renderText();
+        // Recognized lines stand in for text layer items, in PDF units with y
+        // growing towards the top of the page
+        const items = result.data.lines.map(line => {
+            const { x0, y0, x1, y1 } = line.bbox;
+            const height = (y1 - y0) / scale;
+            return {
+                str: line.text.trim(),
+                transform: [1, 0, 0, height, x0 / scale, (viewport.height - y1) / scale],
+                width: (x1 - x0) / scale,
+                height: height,
+                hasEOL: true
+            };
+        });
         
-        // Hide input section, show reading section
-        document.querySelector('.input-section').style.display = 'none';
-        this.readingSection.style.display = 'block';
-        this.floatingControls.style.display = 'block';
+        return { items: items, width: viewport.width / scale, confidence: result.data.confidence };
     }
     
-    renderText() {
-        // Split text into words
-        const words = this.originalText.split(/(\s+)/);
+    loadTesseract() {
+        // Tesseract is large and only needed for scanned pages, so it is
+        // fetched the first time a page has no text layer
+        if (typeof Tesseract !== 'undefined') return Promise.resolve();
+        if (!this.tesseractLoading) {
+            this.tesseractLoading = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = 'https://cdn.jsdelivr.net/npm/tesseract.js@5.1.1/dist/tesseract.min.js';
+                script.onload = () => resolve();
+                script.onerror = () => {
+                    // Let a later scan try again
+                    script.remove();
+                    this.tesseractLoading = null;
+                    reject(new Error('Could not load the OCR library'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return this.tesseractLoading;
+    }
+    
+    cancelPdfExtraction(discard = false) {
+        const extraction = this.pdfExtraction;
+        if (!extraction) return;
         
-        // Create word elements
-        this.readingContent.innerHTML = '';
-        this.words = [];
+        // A discarded extraction belongs to a document that is no longer open
+        extraction.cancelled = true;
+        extraction.discarded = discard;
+        if (extraction.worker) {
+            extraction.worker.terminate();
+        }
+        extraction.stop();
+        this.pdfExtraction = null;
+    }
+    
+    buildPageLines(items, pageWidth) {
+        // Turn positioned text items into lines in reading order:
+        // {text, x, xEnd, y, fontSize}, with y growing towards the top of the page
+        const lines = [];
+        let current = null;
         
-        words.forEach((word, index) => {
-            // Check if token is whitespace (spaces, tabs, newlines, etc.)
-            if (/^\s+$/.test(word)) {
-                // Preserve whitespace exactly as it is (including newlines)
-                const textNode = document.createTextNode(word);
-                this.readingContent.appendChild(textNode);
+        items.forEach(item => {
+            if (!item.str || !item.str.trim()) {
+                // Empty items can still carry the end-of-line marker
+                if (item.hasEOL && current) current.ended = true;
                 return;
             }
             
-            // Create word span for non-whitespace tokens
-            const span = document.createElement('span');
-            span.className = 'word';
-            span.textContent = word;
-            span.dataset.index = this.words.length;
-            span.dataset.word = this.cleanWord(word);
+            const [, , c, d, x, y] = item.transform;
+            const fontSize = Math.hypot(c, d) || item.height || 10;
+            const fragment = { text: item.str, x: x, xEnd: x + item.width, y: y, fontSize: fontSize };
             
-            // Check if already marked
-            const cleanedWord = this.cleanWord(word);
-            if (this.markedWords.has(cleanedWord)) {
-                span.classList.add('marked');
-            }
+            const sameLine = current && !current.ended &&
+                Math.abs(current.y - y) <= Math.min(current.fontSize, fontSize) * 0.5 &&
+                x >= current.xEnd - fontSize;
             
-            // Add click listener
-            span.addEventListener('click', (e) => this.handleWordClick(e));
+            if (sameLine) {
+                current.fragments.push(fragment);
+                current.xEnd = Math.max(current.xEnd, fragment.xEnd);
+                current.fontSize = Math.max(current.fontSize, fontSize);
+            } else {
+                current = { x: x, xEnd: fragment.xEnd, y: y, fontSize: fontSize, fragments: [fragment], ended: false };
+                lines.push(current);
+            }
             
-            this.readingContent.appendChild(span);
-            this.words.push(word);
+            if (item.hasEOL) current.ended = true;
         });
-    }
-    
-    handleWordClick(event) {
-        if (!this.markingMode) return;
         
-        // Prevent marking if text is currently hidden
-        if (this.textIsHidden) return;
-        
-        const wordElement = event.target;
-        const cleanedWord = this.cleanWord(wordElement.textContent);
+        // Split lines at wide gaps, which is where a column gutter falls
+        const segments = [];
+        lines.forEach(line => {
+            let segment = null;
+            line.fragments.forEach(fragment => {
+                if (!segment || fragment.x - segment.xEnd > line.fontSize * 1.5) {
+                    segment = { x: fragment.x, xEnd: fragment.xEnd, y: line.y, fontSize: line.fontSize, fragments: [] };
+                    segments.push(segment);
+                }
+                segment.fragments.push(fragment);
+                segment.xEnd = Math.max(segment.xEnd, fragment.xEnd);
+            });
+        });
         
-        if (!cleanedWord || cleanedWord.trim().length === 0) return;
+        // Two columns: plenty of segments on either side of the middle, few crossing it
+        const middle = pageWidth / 2;
+        const side = segment => {
+            if (segment.xEnd <= middle + segment.fontSize) return 'left';
+            if (segment.x >= middle - segment.fontSize) return 'right';
+            return 'spanning';
+        };
+        const counts = { left: 0, right: 0, spanning: 0 };
+        segments.forEach(segment => counts[side(segment)]++);
+        const twoColumns = counts.left >= 5 && counts.right >= 5 &&
+            counts.spanning < (counts.left + counts.right) * 0.3;
         
-        // Toggle mark
-        if (wordElement.classList.contains('marked')) {
-            // Unmark
-            this.unmarkWord(cleanedWord, wordElement);
+        let ordered;
+        if (twoColumns) {
+            // Read the left column, then the right one, restarting at full-width blocks
+            ordered = [];
+            let left = [];
+            let right = [];
+            const flush = () => {
+                ordered.push(...left, ...right);
+                left = [];
+                right = [];
+            };
+            
+            segments.slice().sort((a, b) => b.y - a.y || a.x - b.x).forEach(segment => {
+                const position = side(segment);
+                if (position === 'spanning') {
+                    flush();
+                    ordered.push(segment);
+                } else if (position === 'left') {
+                    left.push(segment);
+                } else {
+                    right.push(segment);
+                }
+            });
+            flush();
         } else {
-            // Mark
-            this.markWord(cleanedWord, wordElement);
+            // Single column: keep whole lines, top to bottom
+            ordered = lines.slice().sort((a, b) => b.y - a.y);
         }
         
-        this.updateMarkedCount();
+        return ordered.map(line => ({
+            text: this.joinLineFragments(line.fragments),
+            x: line.x,
+            xEnd: line.xEnd,
+            y: line.y,
+            fontSize: line.fontSize
+        })).filter(line => line.text);
     }
     
-    cleanWord(word) {
-        // Remove punctuation and convert to lowercase for comparison
-        return word.replace(/[.,!?;:'"()]/g, '').toLowerCase();
+    joinLineFragments(fragments) {
+        let text = '';
+        let previous = null;
+        
+        fragments.forEach(fragment => {
+            const gap = previous ? fragment.x - previous.xEnd : 0;
+            const needsSpace = previous && gap > fragment.fontSize * 0.15 &&
+                !/\s$/.test(text) && !/^\s/.test(fragment.text);
+            text += (needsSpace ? ' ' : '') + fragment.text;
+            previous = fragment;
+        });
+        
+        return text.replace(/\s+/g, ' ').trim();
     }
     
-    markWord(word, element) {
-        // Add to marked words map
-        if (this.markedWords.has(word)) {
-            this.markedWords.set(word, this.markedWords.get(word) + 1);
-        } else {
-            this.markedWords.set(word, 1);
-        }
+    removeRunningHeadersFooters(pages) {
+        const pageNumberPattern = /^(page\s*)?(\d+|[ivxlcdm]+)(\s*(of|\/)\s*\d+)?$/i;
+        const romanNumeral = /^(?=[mdclxvi])m{0,3}(cm|cd|d?c{0,3})(xc|xl|l?x{0,3})(ix|iv|v?i{0,3})$/i;
+        const normalize = text => text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+        const pageNumberKind = text => {
+            const match = text.match(pageNumberPattern);
+            if (!match) return null;
+            if (/^\d+$/.test(match[2])) return 'arabic';
+            return romanNumeral.test(match[2]) ? 'roman' : null;
+        };
+        
+        // The two lines nearest the top and bottom edge of each page are candidates
+        const topLines = [];
+        const bottomLines = [];
+        const edgeLines = pages.map(lines => {
+            const byHeight = lines.slice().sort((a, b) => b.y - a.y);
+            topLines.push(new Set(byHeight.slice(0, 2)));
+            bottomLines.push(new Set(byHeight.slice(-2)));
+            return new Set([...byHeight.slice(0, 2), ...byHeight.slice(-2)]);
+        });
+        
+        // Roman numerals are also ordinary words ("I", "mix"), so they only count as
+        // page numbers when a neighbouring page has a number at the same edge
+        const hasPageNumber = (edges, pageIndex) => !!edges[pageIndex] &&
+            Array.from(edges[pageIndex]).some(line => pageNumberKind(line.text));
+        const isPageNumber = (line, pageIndex) => {
+            const kind = pageNumberKind(line.text);
+            if (kind !== 'roman') return kind === 'arabic';
+            return [topLines, bottomLines].some(edges => edges[pageIndex].has(line) &&
+                (hasPageNumber(edges, pageIndex - 1) || hasPageNumber(edges, pageIndex + 1)));
+        };
         
-        // Update UI
-        element.classList.add('marked');
+        // Count on how many pages each normalized edge line appears
+        const pageCounts = new Map();
+        edgeLines.forEach(candidates => {
+            new Set(Array.from(candidates).map(line => normalize(line.text))).forEach(key => {
+                pageCounts.set(key, (pageCounts.get(key) || 0) + 1);
+            });
+        });
         
-        // Hide text from this word onwards
-        this.hideTextFromWord(element);
+        const minRepeats = Math.max(2, Math.ceil(pages.length / 2));
         
-        // Visual feedback
-        element.style.animation = 'none';
-        setTimeout(() => {
-            element.style.animation = '';
-        }, 10);
+        pages.forEach((lines, pageIndex) => {
+            const candidates = edgeLines[pageIndex];
+            pages[pageIndex] = lines.filter(line => {
+                if (!candidates.has(line)) return true;
+                if (isPageNumber(line, pageIndex)) return false;
+                return !(pages.length >= 3 && pageCounts.get(normalize(line.text)) >= minRepeats);
+            });
+        });
     }
     
-    hideTextFromWord(markedElement) {
-        const wordElements = document.querySelectorAll('.word');
-        let foundMarked = false;
-        let markedIndex = -1;
+    linesToParagraphs(lines) {
+        if (lines.length === 0) return '';
         
-        // Find the index of the marked element
-        wordElements.forEach((el, index) => {
-            if (el === markedElement) {
-                foundMarked = true;
-                markedIndex = index;
-            }
-        });
+        // Typical line spacing and width tell paragraph breaks from line wraps
+        const median = values => {
+            if (values.length === 0) return 0;
+            const sorted = values.slice().sort((a, b) => a - b);
+            return sorted[Math.floor(sorted.length / 2)];
+        };
+        const lineSpacing = median(lines.slice(1)
+            .map((line, i) => lines[i].y - line.y)
+            .filter(gap => gap > 0)) || lines[0].fontSize * 1.2;
+        const lineWidth = median(lines.map(line => line.xEnd - line.x));
         
-        if (!foundMarked) return;
+        const paragraphs = [];
+        let current = '';
         
-        // Hide the marked word and everything after it
-        wordElements.forEach((el, index) => {
-            if (index >= markedIndex) {
-                el.classList.add('hidden');
+        lines.forEach((line, i) => {
+            const previous = lines[i - 1];
+            let newParagraph = !previous;
+            
+            if (previous) {
+                const gap = previous.y - line.y;
+                const sameColumn = gap > 0;
+                const largeGap = sameColumn && gap > lineSpacing * 1.5;
+                const indented = sameColumn && line.x - previous.x > line.fontSize;
+                const fontChanged = Math.abs(line.fontSize - previous.fontSize) > 1;
+                const shortEnding = previous.xEnd - previous.x < lineWidth * 0.8 &&
+                    /[.!?:"”)]$/.test(previous.text);
+                newParagraph = largeGap || indented || fontChanged || shortEnding;
+            }
+            
+            if (newParagraph) {
+                if (current) paragraphs.push(current);
+                current = line.text;
+            } else if (/[A-Za-z]-$/.test(current) && /^[a-z]/.test(line.text)) {
+                // Re-join a word hyphenated across the line break
+                current = current.slice(0, -1) + line.text;
+            } else {
+                current += ' ' + line.text;
             }
         });
         
-        // Store the hidden index
-        this.hiddenFromIndex = markedIndex;
-        this.textIsHidden = true;
-        
-        // Show continue button
-        this.continueBtn.style.display = 'block';
+        if (current) paragraphs.push(current);
+        return paragraphs.join('\n\n');
     }
     
-    unmarkWord(word, element) {
-        if (!this.markedWords.has(word)) return;
+    joinPageTexts(pageTexts) {
+        // Let a paragraph (or hyphenated word) run on across a page break
+        return pageTexts.filter(text => text).reduce((result, text) => {
+            if (!result) return text;
+            
+            if (/[A-Za-z]-$/.test(result) && /^[a-z]/.test(text)) {
+                return result.slice(0, -1) + text;
+            }
+            if (!/[.!?:"”)]$/.test(result) && /^[a-z]/.test(text)) {
+                return result + ' ' + text;
+            }
+            return result + '\n\n' + text;
+        }, '');
+    }
+    
+    addPdfSourceWords(lines, pageNum) {
+        // Remember where each extracted word sits on its page, for the split view.
+        // Positions within a line are estimated from the word's share of its characters
+        lines.forEach(line => {
+            const charWidth = (line.xEnd - line.x) / Math.max(1, line.text.length);
+            const pattern = /\S+/g;
+            let match;
+            while ((match = pattern.exec(line.text))) {
+                this.pdfSourceWords.push({
+                    text: match[0],
+                    page: pageNum,
+                    x: line.x + match.index * charWidth,
+                    y: line.y,
+                    width: match[0].length * charWidth,
+                    height: line.fontSize
+                });
+            }
+        });
+    }
+    
+    getWordSource(index) {
+        // Document words are matched against the extracted PDF words in order, on
+        // demand; removed words are skipped over and a word hyphenated across a
+        // line break matches both of its halves
+        const sources = this.pdfSourceWords;
+        if (index < 0 || index >= this.words.length || sources.length === 0) return null;
         
-        const count = this.markedWords.get(word);
-        if (count > 1) {
-            this.markedWords.set(word, count - 1);
-        } else {
-            this.markedWords.delete(word);
+        while (this.wordSourceMap.length <= index) {
+            const word = this.words[this.wordSourceMap.length];
+            const from = this.wordSourceNext;
+            let match = -1;
+            let length = 1;
+            
+            for (let i = from; i < Math.min(sources.length, from + 200); i++) {
+                if (sources[i].text === word) {
+                    match = i;
+                    break;
+                }
+                if (/-$/.test(sources[i].text) && sources[i + 1] &&
+                    sources[i].text.slice(0, -1) + sources[i + 1].text === word) {
+                    match = i;
+                    length = 2;
+                    break;
+                }
+            }
+            
+            if (match < 0) {
+                // Nothing close by matches: stay where the last word was found
+                this.wordSourceMap.push(Math.min(from, sources.length - 1));
+            } else {
+                this.wordSourceMap.push(match);
+                this.wordSourceNext = match + length;
+            }
         }
         
-        // Update UI
-        element.classList.remove('marked');
+        return sources[this.wordSourceMap[index]];
     }
     
-    toggleMarkingMode(isActive) {
-        this.markingMode = isActive;
-        
-        // Sync both toggles
-        this.markingModeToggle.checked = isActive;
-        this.markingModeToggleFloat.checked = isActive;
-        
-        // Update labels and classes
-        if (isActive) {
-            this.readingContent.classList.add('marking-mode');
-            this.modeLabel.textContent = 'Marking Mode: ON';
-            this.modeLabel.classList.add('active');
-            this.modeLabelFloat.textContent = 'Marking Mode';
-            this.modeLabelFloat.classList.add('active');
-        } else {
-            this.readingContent.classList.remove('marking-mode');
-            this.modeLabel.textContent = 'Marking Mode: OFF';
-            this.modeLabel.classList.remove('active');
-            this.modeLabelFloat.textContent = 'Marking Mode';
-            this.modeLabelFloat.classList.remove('active');
+    updateSourceViewAvailability() {
+        // The original page can only be shown for a PDF extracted in this session
+        const available = !!this.loadedPdf && this.pdfSourceWords.length > 0;
+        this.sourceViewBtnFloat.style.display = available ? 'block' : 'none';
+        if (!available && this.sourceView) {
+            this.toggleSourceView(false);
         }
     }
     
-    updateMarkedCount() {
-        const markedElements = this.readingContent.querySelectorAll('.word.marked');
-        const count = markedElements.length;
+    toggleSourceView(show = !this.sourceView) {
+        this.sourceView = show && !!this.loadedPdf && this.pdfSourceWords.length > 0;
         
-        if (this.markedCount) {
-            this.markedCount.textContent = count;
+        this.readingLayout.classList.toggle('split-view', this.sourceView);
+        this.sourcePane.style.display = this.sourceView ? 'block' : 'none';
+        this.sourceViewBtnFloat.textContent = this.sourceView ? '🗎 Hide Original Page' : '🗎 Original Page';
+        
+        if (this.sourceView) {
+            this.sourcePageNum = 0;
+            this.syncSourcePage();
+        } else if (this.sourceRenderTask) {
+            this.sourceRenderTask.cancel();
         }
     }
     
-    removeMarkedWords() {
-        if (this.markedWords.size === 0) {
-            alert('No words marked to remove!');
-            return;
-        }
+    scheduleSourceSync() {
+        if (!this.sourceView || this.sourceSyncFrame) return;
         
-        if (!confirm('Remove marked words from the document? This will simplify the text.')) {
-            return;
+        this.sourceSyncFrame = requestAnimationFrame(() => {
+            this.sourceSyncFrame = null;
+            this.syncSourcePage();
+        });
+    }
+    
+    getTopVisibleWordIndex() {
+        // Blocks are in document order, so the first one reaching below the top
+        // of the viewport can be found by bisection
+        const top = Math.max(0, this.readingContent.getBoundingClientRect().top);
+        const blocks = this.wordBlocks;
+        let low = 0;
+        let high = blocks.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (blocks[mid].element.getBoundingClientRect().bottom > top) {
+                found = mid;
+                high = mid - 1;
+            } else {
+                low = mid + 1;
+            }
         }
         
-        // Get all marked instances with context before removal
-        const instances = this.getMarkedInstances();
-        
-        // Add to removed words list
-        this.removedWords.push(...instances);
-        
-        // Get all word elements
-        const wordElements = document.querySelectorAll('.word');
-        const indicesToRemove = new Set();
+        if (found < 0) return this.words.length - 1;
         
-        // Mark indices for removal based on marked class
-        wordElements.forEach((element, index) => {
-            if (element.classList.contains('marked')) {
-                const wordIndex = parseInt(element.dataset.index);
-                if (!isNaN(wordIndex)) {
-                    indicesToRemove.add(wordIndex);
-                }
+        const block = blocks[found];
+        if (block.materialized) {
+            for (let index = block.start; index <= block.end; index++) {
+                const element = this.wordElements[index];
+                if (element && element.getBoundingClientRect().bottom > top) return index;
             }
-        });
+        }
+        return block.start;
+    }
+    
+    getBottomVisibleWordIndex() {
+        // The last word above the bottom of the viewport that is not hidden behind a mark
+        const bottom = Math.min(window.innerHeight, this.readingContent.getBoundingClientRect().bottom);
+        const blocks = this.wordBlocks;
+        let low = 0;
+        let high = blocks.length - 1;
+        let found = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (blocks[mid].element.getBoundingClientRect().top < bottom) {
+                found = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        if (found < 0) return -1;
         
-        // Rebuild words array without marked words
-        const newWords = [];
-        this.words.forEach((word, index) => {
-            if (!indicesToRemove.has(index)) {
-                newWords.push(word);
+        const block = blocks[found];
+        let index = block.start;
+        if (block.materialized) {
+            for (let i = block.end; i >= block.start; i--) {
+                const element = this.wordElements[i];
+                if (element && element.getBoundingClientRect().top < bottom) {
+                    index = i;
+                    break;
+                }
             }
-        });
-        this.words = newWords;
+        }
+        if (this.hiddenRange && index >= this.hiddenRange.start) {
+            index = Math.min(index, this.hiddenRange.start - 1);
+        }
+        return index;
+    }
+    
+    async syncSourcePage() {
+        // Follow the reading position: the page of the first visible word
+        if (!this.sourceView) return;
         
-        // Clear marked words map
-        this.markedWords.clear();
+        const index = this.getTopVisibleWordIndex();
+        const source = this.getWordSource(index);
+        if (!source) return;
         
-        // Rebuild the original text and re-render
-        this.originalText = this.words.join('');
-        this.renderText();
+        await this.showSourcePage(source.page);
+        this.updateSourceHighlights(index);
+    }
+    
+    async revealSourceWord(index) {
+        // Jump to the page of a word that was just marked
+        if (!this.sourceView) return;
         
-        // Update counts
-        this.updateMarkedCount();
-        this.updateRemovedCount();
+        const source = this.getWordSource(index);
+        if (!source) return;
         
-        // Show feedback
-        alert(`${indicesToRemove.size} word(s) removed from the document!`);
+        await this.showSourcePage(source.page);
+        this.updateSourceHighlights(index);
     }
     
-    clearAllMarks() {
-        const markedElements = this.readingContent.querySelectorAll('.word.marked');
+    async showSourcePage(pageNum) {
+        if (pageNum === this.sourcePageNum) return;
         
-        if (markedElements.length === 0) {
-            alert('No words are marked!');
-            return;
+        this.sourcePageNum = pageNum;
+        this.sourceViewport = null;
+        this.sourcePageLabel.textContent = `Page ${pageNum} of ${this.loadedPdf.numPages}`;
+        this.sourceHighlights.innerHTML = '';
+        if (this.sourceRenderTask) {
+            this.sourceRenderTask.cancel();
         }
         
-        // Remove all marks
-        markedElements.forEach(el => el.classList.remove('marked'));
+        const page = await this.loadedPdf.getPage(pageNum);
+        if (pageNum !== this.sourcePageNum) return;
         
-        // Show all hidden text
-        document.querySelectorAll('.word.hidden').forEach(el => {
-            el.classList.remove('hidden');
+        // Fit the page to the pane, drawn at the screen's pixel density
+        const paneWidth = this.sourceCanvas.parentElement.clientWidth;
+        if (!paneWidth) {
+            this.sourcePageNum = 0;
+            return;
+        }
+        const viewport = page.getViewport({ scale: paneWidth / page.getViewport({ scale: 1 }).width });
+        const ratio = window.devicePixelRatio || 1;
+        this.sourceCanvas.width = Math.floor(viewport.width * ratio);
+        this.sourceCanvas.height = Math.floor(viewport.height * ratio);
+        
+        const task = page.render({
+            canvasContext: this.sourceCanvas.getContext('2d'),
+            viewport: viewport,
+            transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null
         });
+        this.sourceRenderTask = task;
         
-        // Hide continue button
-        this.continueBtn.style.display = 'none';
+        try {
+            await task.promise;
+            if (pageNum === this.sourcePageNum) {
+                this.sourceViewport = viewport;
+            }
+        } catch (error) {
+            if (error.name !== 'RenderingCancelledException') {
+                console.error('Error rendering PDF page:', error);
+            }
+        } finally {
+            if (this.sourceRenderTask === task) {
+                this.sourceRenderTask = null;
+            }
+        }
+    }
+    
+    updateSourceHighlights(currentIndex = this.sourceCurrentIndex) {
+        if (!this.sourceView || !this.sourceViewport) return;
         
-        // Reset state
-        this.textIsHidden = false;
-        this.hiddenFromIndex = -1;
+        this.sourceCurrentIndex = currentIndex;
+        const viewport = this.sourceViewport;
+        const fragment = document.createDocumentFragment();
         
-        // Clear marked words map
-        this.markedWords.clear();
+        const addBox = (source, className) => {
+            // Text boxes run from a little below the baseline to the top of the letters
+            const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([
+                source.x, source.y - source.height * 0.25,
+                source.x + source.width, source.y + source.height * 0.85
+            ]);
+            const box = document.createElement('div');
+            box.className = className;
+            box.style.left = `${Math.min(x1, x2)}px`;
+            box.style.top = `${Math.min(y1, y2)}px`;
+            box.style.width = `${Math.abs(x2 - x1)}px`;
+            box.style.height = `${Math.abs(y2 - y1)}px`;
+            fragment.appendChild(box);
+            return box;
+        };
         
-        // Update count
-        this.updateMarkedCount();
-    }
-    
-    updateRemovedCount() {
-        if (this.removedCount) {
-            this.removedCount.textContent = this.removedWords.length;
+        // A bar in the margin marks the line being read
+        const current = this.getWordSource(currentIndex);
+        let marker = null;
+        if (current && current.page === this.sourcePageNum) {
+            marker = addBox(current, 'source-highlight current');
+            marker.style.left = '0px';
+            marker.style.width = '5px';
+        }
+        
+        this.markedIndices.forEach(index => {
+            const source = this.getWordSource(index);
+            if (source && source.page === this.sourcePageNum) {
+                addBox(source, 'source-highlight');
+            }
+        });
+        
+        this.sourceHighlights.replaceChildren(fragment);
+        
+        // Keep the reading position in view when the page is taller than the pane
+        if (marker) {
+            const top = this.sourceCanvas.parentElement.offsetTop + marker.offsetTop;
+            const pane = this.sourcePane;
+            if (top < pane.scrollTop || top > pane.scrollTop + pane.clientHeight - 40) {
+                pane.scrollTop = top - pane.clientHeight / 3;
+            }
         }
     }
     
-    newDocument() {
-        if (confirm('Start with a new document? This will clear your current session.')) {
-            // Reset state
-            this.markedWords.clear();
-            this.removedWords = [];
-            this.markingMode = false;
-            this.words = [];
-            this.originalText = '';
-            this.textInput.value = '';
+    async loadEpub(file) {
+        if (typeof JSZip === 'undefined') {
+            this.uploadStatus.textContent = '✗ EPUB support failed to load';
+            this.uploadStatus.className = 'upload-status error';
+            return;
+        }
+        
+        this.uploadStatus.textContent = 'Loading EPUB...';
+        this.uploadStatus.className = 'upload-status';
+        
+        try {
+            const zip = await JSZip.loadAsync(await file.arrayBuffer());
             
-            // Reset UI
-            document.querySelector('.input-section').style.display = 'block';
-            this.readingSection.style.display = 'none';
-            this.floatingControls.style.display = 'none';
-            this.hideSummary();
+            // The container file points at the OPF package document
+            const containerXml = await this.readEpubFile(zip, 'META-INF/container.xml');
+            const container = this.parseXml(containerXml);
+            const rootfile = container.getElementsByTagName('rootfile')[0];
+            if (!rootfile) {
+                throw new Error('EPUB container has no rootfile');
+            }
+            const opfPath = rootfile.getAttribute('full-path');
+            const opf = this.parseXml(await this.readEpubFile(zip, opfPath));
             
-            // Reset PDF
-            this.loadedPdf = null;
-            this.pdfFileName = '';
+            // Map manifest ids to archive paths (relative to the OPF file)
+            const manifest = new Map();
+            Array.from(opf.getElementsByTagName('item')).forEach(item => {
+                manifest.set(item.getAttribute('id'), {
+                    path: this.resolveEpubPath(opfPath, item.getAttribute('href')),
+                    mediaType: item.getAttribute('media-type')
+                });
+            });
+            
+            const titleElement = opf.getElementsByTagName('dc:title')[0] || opf.getElementsByTagName('title')[0];
+            const bookTitle = titleElement ? titleElement.textContent.trim() : file.name;
+            
+            // The spine gives the reading order
+            const chapters = [];
+            for (const itemref of Array.from(opf.getElementsByTagName('itemref'))) {
+                const item = manifest.get(itemref.getAttribute('idref'));
+                if (!item || !/html/.test(item.mediaType || '')) continue;
+                
+                const doc = this.parseChapterDocument(await this.readEpubFile(zip, item.path));
+                const text = this.epubDocumentToText(doc);
+                if (!text) continue;
+                
+                const heading = doc.querySelector('h1, h2, h3, title');
+                const headingText = heading ? heading.textContent.replace(/\s+/g, ' ').trim() : '';
+                chapters.push({
+                    title: headingText || `Chapter ${chapters.length + 1}`,
+                    path: item.path
+                });
+            }
+            
+            if (chapters.length === 0) {
+                throw new Error('EPUB has no readable chapters');
+            }
+            
+            this.loadedEpub = { zip: zip, title: bookTitle, chapters: chapters };
+            this.epubFileName = file.name;
+            
+            // Show chapter selection panel
             this.pageSelectionPanel.style.display = 'none';
-            this.uploadStatus.textContent = '';
-            this.pdfUpload.value = '';
+            this.chapterSelectionPanel.style.display = 'block';
+            this.epubTitleDisplay.textContent = bookTitle;
+            this.totalChaptersDisplay.textContent = chapters.length;
+            
+            // Fill the chapter pickers and default to the first chapter
+            [this.chapterFrom, this.chapterTo].forEach(select => {
+                select.innerHTML = '';
+                chapters.forEach((chapter, index) => {
+                    const option = document.createElement('option');
+                    option.value = index + 1;
+                    option.textContent = `${index + 1}. ${chapter.title}`;
+                    select.appendChild(option);
+                });
+            });
+            this.chapterFrom.value = 1;
+            this.chapterTo.value = 1;
+            
+            this.uploadStatus.textContent = '✓ EPUB loaded successfully';
+            this.uploadStatus.className = 'upload-status';
+            
+        } catch (error) {
+            console.error('EPUB loading error:', error);
+            this.uploadStatus.textContent = '✗ Error loading EPUB';
+            this.uploadStatus.className = 'upload-status error';
         }
     }
     
-    showSummary() {
-        if (this.removedWords.length === 0) {
-            alert('No words have been removed yet!');
+    async readEpubFile(zip, path) {
+        const entry = zip.file(path) || zip.file(decodeURIComponent(path));
+        if (!entry) {
+            throw new Error(`Missing file in EPUB: ${path}`);
+        }
+        return entry.async('string');
+    }
+    
+    resolveEpubPath(basePath, href) {
+        // Resolve an href relative to the directory of basePath inside the archive
+        const parts = basePath.split('/').slice(0, -1);
+        href.split('#')[0].split('/').forEach(part => {
+            if (part === '..') {
+                parts.pop();
+            } else if (part && part !== '.') {
+                parts.push(part);
+            }
+        });
+        return parts.join('/');
+    }
+    
+    parseXml(text) {
+        return new DOMParser().parseFromString(text, 'application/xml');
+    }
+    
+    parseChapterDocument(text) {
+        // Chapters should be XHTML, but fall back to the forgiving HTML parser
+        const doc = new DOMParser().parseFromString(text, 'application/xhtml+xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            return new DOMParser().parseFromString(text, 'text/html');
+        }
+        return doc;
+    }
+    
+    epubDocumentToText(doc) {
+        const body = doc.body || doc.getElementsByTagName('body')[0];
+        if (!body) return '';
+        
+        body.querySelectorAll('script, style').forEach(el => el.remove());
+        
+        // Separate block elements with blank lines so paragraphs survive
+        body.querySelectorAll('p, div, section, h1, h2, h3, h4, h5, h6, li, blockquote, pre, tr, br').forEach(el => {
+            el.appendChild(doc.createTextNode('\n\n'));
+        });
+        
+        return body.textContent
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+            .filter(paragraph => paragraph.length > 0)
+            .join('\n\n');
+    }
+    
+    async extractSelectedChapters() {
+        if (!this.loadedEpub) {
+            alert('Please upload an EPUB first');
             return;
         }
         
-        // Group instances by marked text
-        const instancesByWord = new Map();
-        this.removedWords.forEach(instance => {
-            const key = instance.markedText;
-            if (!instancesByWord.has(key)) {
-                instancesByWord.set(key, []);
+        const chapterCount = this.loadedEpub.chapters.length;
+        const fromChapter = parseInt(this.chapterFrom.value) || 1;
+        const toChapter = parseInt(this.chapterTo.value) || chapterCount;
+        
+        if (fromChapter < 1 || toChapter > chapterCount || fromChapter > toChapter) {
+            alert(`Please choose a valid chapter range between 1 and ${chapterCount}`);
+            return;
+        }
+        
+        this.showLoadingIndicator();
+        
+        try {
+            const chapterTexts = [];
+            const totalChapters = toChapter - fromChapter + 1;
+            
+            for (let chapterNum = fromChapter; chapterNum <= toChapter; chapterNum++) {
+                const progress = ((chapterNum - fromChapter + 1) / totalChapters) * 100;
+                this.updateProgress(progress, `Extracting chapter ${chapterNum} of ${toChapter}...`);
+                
+                const chapter = this.loadedEpub.chapters[chapterNum - 1];
+                const doc = this.parseChapterDocument(await this.readEpubFile(this.loadedEpub.zip, chapter.path));
+                chapterTexts.push(this.epubDocumentToText(doc));
             }
-            instancesByWord.get(key).push(instance);
+            
+            this.textInput.value = chapterTexts.join('\n\n').trim();
+            this.epubChapterRange = { from: fromChapter, to: toChapter };
+            this.pdfPageRange = null;
+            this.hideLoadingIndicator();
+            
+            alert(`Successfully extracted chapters ${fromChapter}-${toChapter}`);
+            
+        } catch (error) {
+            console.error('EPUB extraction error:', error);
+            this.hideLoadingIndicator();
+            alert('Error extracting chapters from EPUB');
+        }
+    }
+    
+    showLoadingIndicator(cancellable = false) {
+        this.loadingIndicator.style.display = 'block';
+        this.cancelLoadingBtn.style.display = cancellable ? 'inline-block' : 'none';
+    }
+    
+    hideLoadingIndicator() {
+        this.loadingIndicator.style.display = 'none';
+        this.loadingIndicator.classList.remove('streaming');
+        this.progressFill.style.width = '0%';
+        this.progressText.textContent = '0%';
+    }
+    
+    updateProgress(percentage, message = 'Processing...') {
+        const roundedPercentage = Math.round(percentage);
+        this.progressFill.style.width = `${roundedPercentage}%`;
+        this.progressText.textContent = `${roundedPercentage}%`;
+        
+        const loadingText = this.loadingIndicator.querySelector('.loading-text');
+        if (loadingText) {
+            loadingText.textContent = message;
+        }
+    }
+    
+    startReading() {
+        let text = this.textInput.value.trim();
+        
+        if (!text) {
+            alert('Please enter some text or upload a PDF first!');
+            return;
+        }
+        
+        // Check if text contains HTML tags
+        const hasHtmlTags = /<[^>]*>/g.test(text);
+        
+        if (hasHtmlTags) {
+            // Keep the document structure, but only the safe parts of it
+            this.originalHtml = this.sanitizeHtml(text);
+            const tempDiv = document.createElement('div');
+            tempDiv.innerHTML = this.originalHtml;
+            text = tempDiv.textContent || tempDiv.innerText || '';
+        } else {
+            this.originalHtml = '';
+        }
+        
+        this.originalText = text;
+        this.renderText();
+        this.recordDistractorReappearances(this.knownDistractorMatches);
+        
+        this.resetHistory();
+        this.focusEvents = [];
+        this.recordFocusEvent('start');
+        
+        // Every new reading starts its own saved session
+        this.currentSessionId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.sessionCreatedAt = Date.now();
+        this.saveSession();
+        
+        // Hide input section, show reading section
+        document.querySelector('.input-section').style.display = 'none';
+        this.readingSection.style.display = 'block';
+        this.floatingControls.style.display = 'block';
+    }
+    
+    sanitizeHtml(html) {
+        // Allowed tags keep their structure; anything else is unwrapped to its text
+        const allowedTags = new Set([
+            'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'P', 'BR', 'HR', 'STRONG', 'B', 'EM', 'I', 'U',
+            'S', 'SUB', 'SUP', 'MARK', 'BLOCKQUOTE', 'UL', 'OL', 'LI', 'A', 'CODE', 'PRE',
+            'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD', 'DL', 'DT', 'DD'
+        ]);
+        const droppedTags = new Set(['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'TITLE', 'META', 'LINK', 'SVG']);
+        
+        const source = new DOMParser().parseFromString(html, 'text/html');
+        const output = document.createElement('div');
+        
+        const copyChildren = (from, to) => {
+            from.childNodes.forEach(node => {
+                if (node.nodeType === Node.TEXT_NODE) {
+                    to.appendChild(document.createTextNode(node.textContent));
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE || droppedTags.has(node.tagName)) {
+                    return;
+                }
+                
+                if (!allowedTags.has(node.tagName)) {
+                    copyChildren(node, to);
+                    return;
+                }
+                
+                const element = document.createElement(node.tagName.toLowerCase());
+                if (node.tagName === 'A') {
+                    const href = node.getAttribute('href') || '';
+                    if (/^(https?:|mailto:)/i.test(href.trim())) {
+                        element.setAttribute('href', href.trim());
+                        element.setAttribute('target', '_blank');
+                        element.setAttribute('rel', 'noopener noreferrer');
+                    }
+                }
+                copyChildren(node, element);
+                to.appendChild(element);
+            });
+        };
+        
+        copyChildren(source.body, output);
+        return output.innerHTML.trim();
+    }
+    
+    renderText() {
+        this.readingContent.innerHTML = '';
+        this.words = [];
+        this.paragraphIds = [];
+        this.paragraphCount = 0;
+        this.lastParagraphElement = undefined;
+        this.wordBlocks = [];
+        this.wordElements = [];
+        this.markedIndices = new Set();
+        this.phraseStarts = new Map();
+        this.hiddenRange = null;
+        this.cursorIndex = -1;
+        this.selectionAnchor = -1;
+        this.phraseAnchor = null;
+        this.wordSourceMap = [];
+        this.wordSourceNext = 0;
+        this.stopSpeech();
+        this.hideDictionaryPopover();
+        
+        if (this.originalHtml) {
+            this.renderStructuredText();
+        } else {
+            // Plain text is one run of words; blank lines separate paragraphs
+            this.readingContent.classList.remove('structured-content');
+            this.readingContent.appendChild(this.createWordBlocks(this.originalText, null));
+        }
+        
+        this.observeWordBlocks();
+        this.highlightKnownDistractors();
+        this.updateSourceViewAvailability();
+        this.scheduleSourceSync();
+    }
+    
+    appendToDocument(text) {
+        // Add text that arrived after reading started (later PDF pages) without
+        // re-rendering: words already on screen keep their indices and marks.
+        // The text is appended as is, including its leading separator
+        const previousText = this.originalText;
+        const previousHtml = this.originalHtml;
+        const firstNew = this.words.length;
+        
+        this.readingContent.appendChild(this.createWordBlocks(text, null));
+        this.originalText += text;
+        if (this.originalHtml) {
+            const source = document.createElement('div');
+            source.textContent = text;
+            this.originalHtml += source.innerHTML;
+        }
+        
+        this.wordBlocks.forEach(block => {
+            if (block.start >= firstNew) this.blockObserver.observe(block.element);
         });
         
-        // Update stats
-        this.totalMarked.textContent = this.removedWords.length;
-        this.uniqueMarked.textContent = instancesByWord.size;
+        // A gate that hides the rest of the document hides the new words too
+        const range = this.hiddenRange;
+        if (range && range.end === firstNew - 1 && (this.gateMode === 'end' || this.gateMode === 'blur')) {
+            range.end = this.words.length - 1;
+        }
+        
+        // Known distractors in the new words count as reappearances right away
+        const { matches, indices } = this.findKnownDistractors(firstNew);
+        this.recordDistractorReappearances(matches, this.knownDistractorMatches);
+        matches.forEach((count, word) => {
+            this.knownDistractorMatches.set(word, (this.knownDistractorMatches.get(word) || 0) + count);
+        });
+        indices.forEach(index => this.knownIndices.add(index));
+        this.updateKnownDistractorSummary();
+        
+        // A phrase match can start just before the new words
+        this.refreshWordStates(Math.min(firstNew, ...indices), this.words.length - 1);
+        
+        // History snapshots of the shorter document describe this one as well
+        [...this.undoStack, ...this.redoStack].forEach(state => {
+            if (state.originalText === previousText && (state.originalHtml || '') === previousHtml) {
+                state.originalText = this.originalText;
+                state.originalHtml = this.originalHtml;
+            }
+        });
+        
+        this.scheduleSessionSave();
+    }
+    
+    renderStructuredText() {
+        // Walk the sanitized DOM and turn only its text nodes into word blocks
+        const template = document.createElement('template');
+        template.innerHTML = this.originalHtml;
+        
+        const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+        
+        textNodes.forEach(textNode => {
+            const paragraph = textNode.parentElement ? textNode.parentElement.closest(this.paragraphSelector) : null;
+            textNode.replaceWith(this.createWordBlocks(textNode.textContent, paragraph));
+        });
+        
+        this.readingContent.classList.add('structured-content');
+        this.readingContent.appendChild(template.content);
+    }
+    
+    get paragraphSelector() {
+        return 'p, li, h1, h2, h3, h4, h5, h6, blockquote, pre, td, th, dt, dd';
+    }
+    
+    tokenize(text) {
+        // Words and the exact whitespace between them
+        return text.split(/(\s+)/).filter(token => token);
+    }
+    
+    createWordBlocks(text, paragraph) {
+        // Text is kept as plain text in blocks of a few hundred words; a block only
+        // gets its word spans once it scrolls near the viewport
+        const blockSize = 200;
+        const fragment = document.createDocumentFragment();
+        let tokens = [];
+        let start = this.words.length;
+        
+        // Words of a new block element start a new paragraph
+        if (paragraph !== this.lastParagraphElement) {
+            this.paragraphCount++;
+            this.lastParagraphElement = paragraph;
+        }
+        
+        const flush = () => {
+            if (tokens.length === 0) return;
+            if (this.words.length === start) {
+                // Only whitespace: no block needed
+                fragment.appendChild(document.createTextNode(tokens.join('')));
+            } else {
+                const element = document.createElement('span');
+                element.className = 'word-block';
+                element.dataset.block = this.wordBlocks.length;
+                element.textContent = tokens.join('');
+                fragment.appendChild(element);
+                this.wordBlocks.push({ element: element, start: start, end: this.words.length - 1, tokens: tokens, materialized: false });
+            }
+            tokens = [];
+            start = this.words.length;
+        };
+        
+        this.tokenize(text).forEach(token => {
+            if (/^\s+$/.test(token)) {
+                if (/\n\s*\n/.test(token)) this.paragraphCount++;
+            } else {
+                if (this.words.length - start >= blockSize) flush();
+                this.words.push(token);
+                this.paragraphIds.push(this.paragraphCount);
+            }
+            tokens.push(token);
+        });
+        flush();
+        
+        return fragment;
+    }
+    
+    observeWordBlocks() {
+        if (this.blockObserver) {
+            this.blockObserver.disconnect();
+        }
+        
+        // Materialize blocks shortly before they scroll into view and drop their
+        // spans again once they are far away
+        this.blockObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                const block = this.wordBlocks[parseInt(entry.target.dataset.block)];
+                if (!block || block.element !== entry.target) return;
+                
+                if (entry.isIntersecting) {
+                    this.materializeBlock(block);
+                } else {
+                    this.dematerializeBlock(block);
+                }
+            });
+        }, { rootMargin: '1500px 0px' });
+        
+        this.wordBlocks.forEach(block => this.blockObserver.observe(block.element));
+    }
+    
+    materializeBlock(block) {
+        if (!block || block.materialized) return;
+        
+        const fragment = document.createDocumentFragment();
+        let index = block.start;
+        block.tokens.forEach(token => {
+            if (/^\s+$/.test(token)) {
+                fragment.appendChild(document.createTextNode(token));
+            } else {
+                fragment.appendChild(this.createWordSpan(token, index++));
+            }
+        });
+        
+        block.element.replaceChildren(fragment);
+        block.element.classList.remove('hidden');
+        block.element.classList.add('materialized');
+        block.materialized = true;
+    }
+    
+    dematerializeBlock(block) {
+        if (!block.materialized) return;
+        
+        // Keep spans that something still points at
+        const inBlock = index => index >= block.start && index <= block.end;
+        const popoverIndex = this.popoverWord ? parseInt(this.popoverWord.dataset.index) : -1;
+        if ([this.cursorIndex, this.phraseAnchor, this.speakingIndex, popoverIndex].some(index => index !== null && inBlock(index))) {
+            return;
+        }
+        
+        for (let index = block.start; index <= block.end; index++) {
+            delete this.wordElements[index];
+        }
+        block.element.textContent = block.tokens.join('');
+        block.element.classList.remove('materialized');
+        block.materialized = false;
+        this.updateBlockVisibility(block);
+    }
+    
+    getBlockForWord(index) {
+        // Blocks are ordered by their first word
+        let low = 0;
+        let high = this.wordBlocks.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.wordBlocks[mid].start <= index) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return this.wordBlocks[low];
+    }
+    
+    getWordElement(index) {
+        // Materializes the word's block when needed
+        if (index === null || index < 0 || index >= this.words.length) return null;
+        if (!this.wordElements[index]) {
+            this.materializeBlock(this.getBlockForWord(index));
+        }
+        return this.wordElements[index] || null;
+    }
+    
+    isWordHidden(index) {
+        return this.hiddenRange !== null && index >= this.hiddenRange.start && index <= this.hiddenRange.end;
+    }
+    
+    isWordSelected(index) {
+        if (index === this.phraseAnchor) return true;
+        if (this.selectionAnchor < 0 || this.cursorIndex < 0) return false;
+        return index >= Math.min(this.selectionAnchor, this.cursorIndex) && index <= Math.max(this.selectionAnchor, this.cursorIndex);
+    }
+    
+    applyWordState(index) {
+        const element = this.wordElements[index];
+        if (!element) return;
+        
+        element.classList.toggle('marked', this.markedIndices.has(index));
+        element.classList.toggle('phrase', this.phraseStarts.has(index));
+        element.classList.toggle('known-distractor', this.knownIndices.has(index));
+        element.classList.toggle('hidden', this.isWordHidden(index));
+        element.classList.toggle('cursor', index === this.cursorIndex);
+        element.classList.toggle('selected', this.isWordSelected(index));
+        element.classList.toggle('speaking', index === this.speakingIndex);
+    }
+    
+    updateBlockVisibility(block) {
+        if (block.materialized) return;
+        
+        // Unmaterialized blocks are hidden as a whole; a block the gate cuts
+        // through needs per-word spans
+        const range = this.hiddenRange;
+        const overlaps = range !== null && block.start <= range.end && block.end >= range.start;
+        if (overlaps && (block.start < range.start || block.end > range.end)) {
+            this.materializeBlock(block);
+            return;
+        }
+        block.element.classList.toggle('hidden', overlaps);
+    }
+    
+    refreshWordStates(start = 0, end = this.words.length - 1) {
+        // Sync the view with the model for a range of word indices
+        if (start > end) [start, end] = [end, start];
+        
+        this.wordBlocks.forEach(block => {
+            if (block.end < start || block.start > end) return;
+            
+            if (block.materialized) {
+                for (let index = Math.max(start, block.start); index <= Math.min(end, block.end); index++) {
+                    this.applyWordState(index);
+                }
+            } else {
+                this.updateBlockVisibility(block);
+            }
+        });
+    }
+    
+    createWordSpan(word, index) {
+        // Create word span for non-whitespace tokens
+        const span = document.createElement('span');
+        span.className = 'word';
+        span.textContent = word;
+        span.dataset.index = index;
+        
+        this.wordElements[index] = span;
+        this.applyWordState(index);
+        return span;
+    }
+    
+    handleWordClick(event, wordElement) {
+        if (!this.markingMode) {
+            // Outside marking mode a click looks the word up, except on links
+            if (!wordElement.closest('a')) {
+                this.showDictionaryPopover(wordElement);
+            }
+            return;
+        }
+        
+        // Don't follow links in structured documents while marking
+        event.preventDefault();
+        
+        // Words hidden behind the Continue gate can't be marked
+        const index = parseInt(wordElement.dataset.index);
+        if (this.isWordHidden(index)) return;
+        
+        // Shift-click the first and last word of a phrase to mark it as one unit
+        if (event.shiftKey) {
+            if (this.phraseAnchor === null) {
+                this.phraseAnchor = index;
+                this.applyWordState(index);
+                return;
+            }
+            
+            const anchorIndex = this.phraseAnchor;
+            this.phraseAnchor = null;
+            this.applyWordState(anchorIndex);
+            this.toggleWordMarks(this.getIndexRange(anchorIndex, index));
+            return;
+        }
+        
+        this.setCursor(index);
+        this.toggleWordMarks([index]);
+    }
+    
+    getIndexRange(from, to) {
+        const start = Math.min(from, to);
+        return Array.from({ length: Math.abs(to - from) + 1 }, (_, i) => start + i);
+    }
+    
+    handlePhraseSelection() {
+        if (!this.markingMode) return;
+        
+        const selection = window.getSelection();
+        if (!selection || selection.isCollapsed || selection.rangeCount === 0) return;
+        
+        // A drag only covers words on screen, which are always materialized
+        const range = selection.getRangeAt(0);
+        const selectedIndices = Array.from(this.readingContent.querySelectorAll('.word'))
+            .filter(el => !el.classList.contains('hidden') && range.intersectsNode(el))
+            .map(el => parseInt(el.dataset.index));
+        
+        // Single words are handled by the click listener
+        if (selectedIndices.length < 2) return;
+        
+        selection.removeAllRanges();
+        this.toggleWordMarks(selectedIndices);
+    }
+    
+    toggleWordMarks(indices) {
+        // Toggle one word or a range: unmark if all are marked, otherwise mark the rest
+        const wordIndices = indices.filter(index => this.cleanWord(this.words[index] || '').trim().length > 0);
+        if (wordIndices.length === 0) return;
+        
+        // Only text in view can be marked; with a sentence or paragraph gate
+        // that includes the text after it
+        if (wordIndices.some(index => this.isWordHidden(index))) return;
+        
+        this.recordHistory();
+        
+        if (wordIndices.every(index => this.markedIndices.has(index))) {
+            // Unmark (a phrase unmarks as a whole)
+            wordIndices.forEach(index => {
+                if (this.markedIndices.has(index)) this.unmarkIndex(index);
+            });
+        } else if (wordIndices.length === 1) {
+            // Mark
+            this.markWord(this.cleanWord(this.words[wordIndices[0]]), wordIndices[0]);
+        } else {
+            // Mark the range as one phrase
+            this.markPhrase(wordIndices);
+        }
+        
+        this.updateMarkedCount();
+        this.scheduleSessionSave();
+    }
+    
+    cleanWord(word) {
+        // Remove punctuation and convert to lowercase for comparison
+        return word.replace(/[.,!?;:'"()]/g, '').toLowerCase();
+    }
+    
+    markWord(word, index, pause = true) {
+        // Add to marked words map
+        if (this.markedWords.has(word)) {
+            this.markedWords.set(word, this.markedWords.get(word) + 1);
+        } else {
+            this.markedWords.set(word, 1);
+        }
+        
+        // Update model and UI
+        this.markedIndices.add(index);
+        this.applyWordState(index);
+        
+        this.addToVocabulary([index]);
+        this.recordKnownDistractor(word);
+        
+        if (pause) {
+            this.recordFocusEvent('mark', index);
+            
+            // Hide text from this word onwards
+            this.hideTextFrom(index);
+        }
+        this.revealSourceWord(index);
+        
+        // Visual feedback
+        const element = this.wordElements[index];
+        if (element) {
+            element.style.animation = 'none';
+            setTimeout(() => {
+                element.style.animation = '';
+            }, 10);
+        }
+    }
+    
+    hideTextFrom(markedIndex) {
+        if (markedIndex < 0 || markedIndex >= this.words.length) return;
+        
+        if (this.gateMode === 'none') {
+            // Pure tracking: the mark is recorded but reading never stops
+            this.recordReadingPosition();
+            return;
+        }
+        
+        // Hide the marked word and everything after it, or just its sentence/paragraph
+        let start = markedIndex;
+        let end = this.words.length - 1;
+        if (this.gateMode === 'sentence') {
+            ({ start, end } = this.getSentenceBounds(markedIndex, markedIndex));
+        } else if (this.gateMode === 'paragraph') {
+            ({ start, end } = this.getParagraphBounds(markedIndex));
+        }
+        
+        // A mark made while the gate is up moves it
+        const previousRange = this.hiddenRange;
+        this.hiddenRange = { start: start, end: end };
+        if (previousRange) {
+            this.refreshWordStates(previousRange.start, previousRange.end);
+        }
+        this.refreshWordStates(start, end);
+        
+        // The time until the gate is lifted counts as a pause
+        if (!this.textIsHidden) {
+            this.recordFocusEvent('pause', markedIndex);
+        }
+        
+        // Store the hidden index
+        this.hiddenFromIndex = markedIndex;
+        this.textIsHidden = true;
+        
+        // Show continue button
+        this.continueBtn.style.display = 'block';
+        this.startAutoContinue();
+        
+        // Read-aloud waits at the gate and picks up from the marked word
+        this.holdSpeechAt(markedIndex);
+    }
+    
+    getParagraphBounds(index) {
+        // Paragraph numbers are recorded per word while rendering
+        const paragraph = this.paragraphIds[index];
+        
+        let start = index;
+        while (start > 0 && this.paragraphIds[start - 1] === paragraph) {
+            start--;
+        }
+        let end = index;
+        while (end < this.words.length - 1 && this.paragraphIds[end + 1] === paragraph) {
+            end++;
+        }
+        
+        return { start: start, end: end };
+    }
+    
+    saveGateSettings() {
+        this.gateMode = this.gateModeSelect.value;
+        this.autoContinueSeconds = Math.max(0, parseInt(this.autoContinueInput.value) || 0);
+        this.autoContinueInput.value = this.autoContinueSeconds;
+        
+        localStorage.setItem('gateMode', this.gateMode);
+        localStorage.setItem('autoContinueSeconds', this.autoContinueSeconds);
+        
+        this.readingContent.classList.toggle('gate-blur', this.gateMode === 'blur');
+        
+        // Restart the countdown of a gate that is already open with the new delay
+        if (this.textIsHidden) {
+            this.cancelAutoContinue();
+            this.startAutoContinue();
+        }
+    }
+    
+    startAutoContinue() {
+        if (this.autoContinueSeconds <= 0) return;
+        
+        this.cancelAutoContinue();
+        this.autoContinueRemaining = this.autoContinueSeconds;
+        this.updateContinueLabel();
+        
+        this.autoContinueTimer = setInterval(() => {
+            this.autoContinueRemaining--;
+            if (this.autoContinueRemaining <= 0) {
+                this.continueReading();
+            } else {
+                this.updateContinueLabel();
+            }
+        }, 1000);
+    }
+    
+    cancelAutoContinue() {
+        clearInterval(this.autoContinueTimer);
+        this.autoContinueTimer = null;
+        this.autoContinueRemaining = 0;
+        this.updateContinueLabel();
+    }
+    
+    updateContinueLabel() {
+        const button = this.continueBtn.querySelector('button');
+        if (!button) return;
+        
+        button.textContent = this.autoContinueRemaining > 0
+            ? `Continue Reading → (${this.autoContinueRemaining}s)`
+            : 'Continue Reading →';
+    }
+    
+    markPhrase(indices) {
+        // Existing marks inside the range are folded into the phrase
+        indices.forEach(index => {
+            if (this.markedIndices.has(index)) this.unmarkIndex(index);
+        });
+        
+        const phraseKey = indices.map(index => this.cleanWord(this.words[index])).filter(word => word).join(' ');
+        if (!phraseKey) return;
+        
+        this.markedWords.set(phraseKey, (this.markedWords.get(phraseKey) || 0) + 1);
+        
+        // Update model and UI
+        const start = indices[0];
+        indices.forEach(index => {
+            this.markedIndices.add(index);
+            this.phraseStarts.set(index, start);
+        });
+        this.refreshWordStates(start, indices[indices.length - 1]);
+        
+        this.addToVocabulary(indices);
+        this.recordKnownDistractor(phraseKey);
+        
+        // A phrase is one distraction: pause at its first word
+        this.recordFocusEvent('mark', start);
+        this.hideTextFrom(start);
+        this.revealSourceWord(start);
+    }
+    
+    unmarkIndex(index) {
+        if (this.phraseStarts.has(index)) {
+            const start = this.phraseStarts.get(index);
+            this.forgetMark(start, this.unmarkPhrase(start));
+        } else {
+            this.unmarkWord(this.cleanWord(this.words[index]), index);
+            this.forgetMark(index, [index]);
+        }
+    }
+    
+    forgetMark(start, indices) {
+        // Taking a mark back cancels the distraction, card and known distractor it recorded
+        this.recordFocusEvent('unmark', start);
+        this.removeFromVocabulary(indices);
+        this.unrecordKnownDistractor(this.getMarkKey(indices));
+    }
+    
+    rememberMark(start, indices) {
+        // A mark brought back by undo/redo counts again, like a new one
+        this.recordFocusEvent('mark', start);
+        this.addToVocabulary(indices);
+        this.recordKnownDistractor(this.getMarkKey(indices));
+    }
+    
+    getMarkKey(indices) {
+        // The markedWords key of a word or phrase
+        return indices.map(index => this.cleanWord(this.words[index] || '')).filter(word => word).join(' ');
+    }
+    
+    getMarks() {
+        // Each mark by its first index: a single word, or all words of a phrase
+        const marks = new Map();
+        Array.from(this.markedIndices).sort((a, b) => a - b).forEach(index => {
+            const start = this.phraseStarts.has(index) ? this.phraseStarts.get(index) : index;
+            if (!marks.has(start)) marks.set(start, []);
+            marks.get(start).push(index);
+        });
+        return marks;
+    }
+    
+    recordMarkChanges(previousMarks, previousRemovedCount) {
+        // Undo and redo take marks back or make them again; marks that go or come
+        // back with removed words were real distractions and stay counted
+        if (this.removedWords.length !== previousRemovedCount) return;
+        
+        const marks = this.getMarks();
+        previousMarks.forEach((indices, start) => {
+            if (!marks.has(start)) this.forgetMark(start, indices);
+        });
+        marks.forEach((indices, start) => {
+            if (!previousMarks.has(start)) this.rememberMark(start, indices);
+        });
+    }
+    
+    unmarkPhrase(start) {
+        const indices = [];
+        for (let index = start; this.phraseStarts.get(index) === start; index++) {
+            indices.push(index);
+        }
+        const phraseKey = indices.map(index => this.cleanWord(this.words[index])).filter(word => word).join(' ');
+        
+        const count = this.markedWords.get(phraseKey) || 0;
+        if (count > 1) {
+            this.markedWords.set(phraseKey, count - 1);
+        } else {
+            this.markedWords.delete(phraseKey);
+        }
+        
+        // Update model and UI
+        indices.forEach(index => {
+            this.markedIndices.delete(index);
+            this.phraseStarts.delete(index);
+        });
+        this.refreshWordStates(start, start + indices.length - 1);
+        return indices;
+    }
+    
+    unmarkWord(word, index) {
+        this.markedIndices.delete(index);
+        this.applyWordState(index);
+        
+        if (!this.markedWords.has(word)) return;
+        
+        const count = this.markedWords.get(word);
+        if (count > 1) {
+            this.markedWords.set(word, count - 1);
+        } else {
+            this.markedWords.delete(word);
+        }
+    }
+    
+    toggleMarkingMode(isActive) {
+        this.markingMode = isActive;
+        
+        // Sync both toggles
+        this.markingModeToggle.checked = isActive;
+        this.markingModeToggleFloat.checked = isActive;
+        
+        // Update labels and classes
+        if (isActive) {
+            this.readingContent.classList.add('marking-mode');
+            this.modeLabel.textContent = 'Marking Mode: ON';
+            this.modeLabel.classList.add('active');
+            this.modeLabelFloat.textContent = 'Marking Mode';
+            this.modeLabelFloat.classList.add('active');
+        } else {
+            this.readingContent.classList.remove('marking-mode');
+            this.modeLabel.textContent = 'Marking Mode: OFF';
+            this.modeLabel.classList.remove('active');
+            this.modeLabelFloat.textContent = 'Marking Mode';
+            this.modeLabelFloat.classList.remove('active');
+        }
+    }
+    
+    updateMarkedCount() {
+        const count = this.markedIndices.size;
+        
+        if (this.markedCount) {
+            this.markedCount.textContent = count;
+        }
+        this.updateSourceHighlights();
+    }
+    
+    removeMarkedWords() {
+        if (this.markedWords.size === 0) {
+            alert('No words marked to remove!');
+            return;
+        }
+        
+        if (this.pdfExtraction) {
+            alert('Please wait until all pages have loaded before removing words.');
+            return;
+        }
+        
+        if (!confirm('Remove marked words from the document? This will simplify the text.')) {
+            return;
+        }
+        
+        this.recordHistory();
+        
+        // Get all marked instances with context before removal
+        const instances = this.getMarkedInstances();
+        
+        // Add to removed words list
+        this.removedWords.push(...instances);
+        
+        // Rebuild the document text without the marked words, walking it in the
+        // same order it was rendered so word indices line up
+        const removedCount = this.markedIndices.size;
+        let wordIndex = 0;
+        const removeMarked = text => {
+            const tokens = this.tokenize(text);
+            const removed = new Set();
+            const isSpace = i => i >= 0 && i < tokens.length && !removed.has(i) &&
+                /^\s+$/.test(tokens[i]) && !tokens[i].includes('\n');
+            
+            tokens.forEach((token, i) => {
+                if (/^\s+$/.test(token)) return;
+                if (this.markedIndices.has(wordIndex++)) {
+                    removed.add(i);
+                    // Drop one adjacent space (preferably the following one) so no gaps are
+                    // left behind, but never swallow a line break
+                    if (isSpace(i + 1)) {
+                        removed.add(i + 1);
+                    } else if (isSpace(i - 1)) {
+                        removed.add(i - 1);
+                    }
+                }
+            });
+            return tokens.filter((token, i) => !removed.has(i)).join('');
+        };
+        
+        if (this.originalHtml) {
+            const template = document.createElement('template');
+            template.innerHTML = this.originalHtml;
+            const walker = document.createTreeWalker(template.content, NodeFilter.SHOW_TEXT);
+            const textNodes = [];
+            while (walker.nextNode()) {
+                textNodes.push(walker.currentNode);
+            }
+            textNodes.forEach(textNode => {
+                textNode.textContent = removeMarked(textNode.textContent);
+            });
+            this.originalHtml = template.innerHTML;
+            this.originalText = template.content.textContent.trim();
+        } else {
+            this.originalText = removeMarked(this.originalText).trim();
+        }
+        
+        // Clear marked words map and the reading pause
+        this.markedWords.clear();
+        if (this.textIsHidden) {
+            this.recordFocusEvent('continue');
+        }
+        this.textIsHidden = false;
+        this.hiddenFromIndex = -1;
+        this.continueBtn.style.display = 'none';
+        this.cancelAutoContinue();
+        
+        // Re-render the simplified text
+        this.renderText();
+        
+        // Update counts
+        this.updateMarkedCount();
+        this.updateRemovedCount();
+        this.scheduleSessionSave();
+        
+        // Show feedback
+        alert(`${removedCount} word(s) removed from the document! Press Ctrl+Z to undo.`);
+    }
+    
+    clearAllMarks() {
+        if (this.markedIndices.size === 0) {
+            alert('No words are marked!');
+            return;
+        }
+        
+        // Clearing only tidies the view: the distractions, cards and known
+        // distractors the marks recorded are kept
+        this.recordHistory('clear');
+        
+        // Remove all marks and show all hidden text
+        this.markedIndices.clear();
+        this.phraseStarts.clear();
+        this.hiddenRange = null;
+        this.refreshWordStates();
+        
+        // Hide continue button
+        this.continueBtn.style.display = 'none';
+        this.cancelAutoContinue();
+        
+        // Reset state
+        if (this.textIsHidden) {
+            this.recordFocusEvent('continue');
+        }
+        this.textIsHidden = false;
+        this.hiddenFromIndex = -1;
+        
+        // Clear marked words map
+        this.markedWords.clear();
+        
+        // Update count
+        this.updateMarkedCount();
+        this.scheduleSessionSave();
+    }
+    
+    updateRemovedCount() {
+        if (this.removedCount) {
+            this.removedCount.textContent = this.removedWords.length;
+        }
+    }
+    
+    recordHistory(change = null) {
+        // Snapshot the current state before a change so it can be undone
+        const state = this.getReadingState();
+        state.change = change;
+        this.undoStack.push(state);
+        if (this.undoStack.length > this.maxHistory) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
+    
+    resetHistory() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.updateHistoryButtons();
+    }
+    
+    undo() {
+        if (this.undoStack.length === 0) return;
+        
+        const marks = this.getMarks();
+        const removedCount = this.removedWords.length;
+        const state = this.undoStack.pop();
+        const current = this.getReadingState();
+        current.change = state.change;
+        this.redoStack.push(current);
+        this.applyReadingState(state);
+        if (state.change !== 'clear') {
+            this.recordMarkChanges(marks, removedCount);
+        }
+        this.updateHistoryButtons();
+        this.scheduleSessionSave();
+    }
+    
+    redo() {
+        if (this.redoStack.length === 0) return;
+        
+        const marks = this.getMarks();
+        const removedCount = this.removedWords.length;
+        const state = this.redoStack.pop();
+        const current = this.getReadingState();
+        current.change = state.change;
+        this.undoStack.push(current);
+        this.applyReadingState(state);
+        if (state.change !== 'clear') {
+            this.recordMarkChanges(marks, removedCount);
+        }
+        this.updateHistoryButtons();
+        this.scheduleSessionSave();
+    }
+    
+    updateHistoryButtons() {
+        if (this.undoBtnFloat) {
+            this.undoBtnFloat.disabled = this.undoStack.length === 0;
+        }
+        if (this.redoBtnFloat) {
+            this.redoBtnFloat.disabled = this.redoStack.length === 0;
+        }
+    }
+    
+    handleHistoryShortcut(event) {
+        // Only while reading, and never steal undo from text fields
+        if (this.readingSection.style.display === 'none') return;
+        if (event.target.matches('input, textarea, [contenteditable="true"]')) return;
+        if (!(event.ctrlKey || event.metaKey)) return;
+        
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            this.redo();
+        }
+    }
+    
+    setCursor(index, extendSelection = false) {
+        if (this.words.length === 0 || isNaN(index)) return;
+        index = Math.max(0, Math.min(index, this.words.length - 1));
+        
+        // The cursor skips over text hidden behind the Continue gate, in the
+        // direction it was moving if there is visible text that way
+        if (this.isWordHidden(index)) {
+            const { start, end } = this.hiddenRange;
+            const forward = index > this.cursorIndex && end < this.words.length - 1;
+            index = forward || start === 0 ? end + 1 : start - 1;
+            if (index >= this.words.length) return;
+        }
+        
+        // Remember the old cursor and selection so their spans can be refreshed
+        const previous = this.getSelectionBounds();
+        
+        if (extendSelection) {
+            if (this.selectionAnchor < 0) {
+                this.selectionAnchor = this.cursorIndex >= 0 ? this.cursorIndex : index;
+            }
+        } else {
+            this.selectionAnchor = -1;
+        }
+        this.cursorIndex = index;
+        
+        if (previous) this.refreshWordStates(previous.start, previous.end);
+        const current = this.getSelectionBounds();
+        this.refreshWordStates(current.start, current.end);
+        
+        this.getWordElement(index).scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+    
+    getSelectionBounds() {
+        if (this.cursorIndex < 0) return null;
+        if (this.selectionAnchor < 0) return { start: this.cursorIndex, end: this.cursorIndex };
+        return {
+            start: Math.min(this.selectionAnchor, this.cursorIndex),
+            end: Math.max(this.selectionAnchor, this.cursorIndex)
+        };
+    }
+    
+    clearCursor() {
+        const previous = this.getSelectionBounds();
+        this.cursorIndex = -1;
+        this.selectionAnchor = -1;
+        if (previous) this.refreshWordStates(previous.start, previous.end);
+    }
+    
+    getSelectedIndices() {
+        const bounds = this.getSelectionBounds();
+        return bounds ? this.getIndexRange(bounds.start, bounds.end) : [];
+    }
+    
+    moveCursorByWord(direction, extendSelection) {
+        if (this.cursorIndex < 0) {
+            this.setCursor(0);
+            return;
+        }
+        this.setCursor(this.cursorIndex + direction, extendSelection);
+    }
+    
+    moveCursorByLine(direction, extendSelection) {
+        if (this.cursorIndex < 0) {
+            this.setCursor(0);
+            return;
+        }
+        
+        // Find the word on the next/previous visual line closest to the cursor's x position
+        const currentRect = this.getWordElement(this.cursorIndex).getBoundingClientRect();
+        const centerX = currentRect.left + currentRect.width / 2;
+        let targetTop = null;
+        let bestIndex = -1;
+        let bestDistance = Infinity;
+        
+        for (let i = this.cursorIndex + direction; i >= 0 && i < this.words.length; i += direction) {
+            const rect = this.getWordElement(i).getBoundingClientRect();
+            const onOtherLine = direction > 0 ? rect.top >= currentRect.bottom - 2 : rect.bottom <= currentRect.top + 2;
+            if (!onOtherLine) continue;
+            
+            if (targetTop === null) {
+                targetTop = rect.top;
+            } else if (Math.abs(rect.top - targetTop) > rect.height / 2) {
+                break;
+            }
+            
+            const distance = Math.abs(rect.left + rect.width / 2 - centerX);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = i;
+            }
+        }
+        
+        if (bestIndex >= 0) {
+            this.setCursor(bestIndex, extendSelection);
+        }
+    }
+    
+    handleReadingKeydown(event) {
+        // Only while reading, with no dialog open and not typing into a field;
+        // focused buttons and links keep Enter and Space for themselves
+        if (this.readingSection.style.display === 'none') return;
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+        if (event.target.matches('input, textarea, select, button, a[href], [role="button"], [contenteditable="true"]')) return;
+        if ([this.notesModal, this.categoriesModal, this.exportModal].some(modal => modal && modal.style.display !== 'none')) return;
+        if ([this.summaryPanel, this.analyticsPanel, this.vocabularyPanel, this.notesSearchPanel].some(panel => panel.style.display === 'block')) return;
+        
+        if (this.rsvpActive) {
+            this.handleRsvpKeydown(event);
+            return;
+        }
+        
+        const key = event.key;
+        const lowerKey = key.toLowerCase();
+        let handled = true;
+        
+        if (key === 'ArrowLeft' || lowerKey === 'h') {
+            this.moveCursorByWord(-1, event.shiftKey);
+        } else if (key === 'ArrowRight' || lowerKey === 'l') {
+            this.moveCursorByWord(1, event.shiftKey);
+        } else if (key === 'ArrowUp' || lowerKey === 'k') {
+            this.moveCursorByLine(-1, event.shiftKey);
+        } else if (key === 'ArrowDown' || lowerKey === 'j') {
+            this.moveCursorByLine(1, event.shiftKey);
+        } else if (key === 'Enter' || lowerKey === 'x') {
+            // Mark/unmark the focused word or the selected range (only in marking mode, like clicks)
+            if (this.markingMode) {
+                const selection = this.getSelectionBounds();
+                this.toggleWordMarks(this.getSelectedIndices());
+                this.selectionAnchor = -1;
+                if (selection) this.refreshWordStates(selection.start, selection.end);
+            }
+        } else if (lowerKey === 'm') {
+            this.toggleMarkingMode(!this.markingMode);
+        } else if (lowerKey === 'c' && event.shiftKey) {
+            this.clearAllMarks();
+        } else if (lowerKey === 'c' || key === ' ') {
+            if (this.textIsHidden) {
+                this.continueReading();
+            } else {
+                handled = key !== ' ';
+            }
+        } else if (lowerKey === 'd') {
+            const focused = this.getWordElement(this.cursorIndex);
+            if (focused) this.showDictionaryPopover(focused);
+        } else if (lowerKey === 'p') {
+            this.toggleSpeech();
+        } else if (lowerKey === 'n') {
+            if (this.currentNoteType) {
+                this.openNotes(this.currentNoteType);
+            } else {
+                this.toggleNotesDropdown();
+            }
+        } else if (key === '/') {
+            this.openNotesSearch();
+        } else if (lowerKey === 'q') {
+            // Quote the selected range, or the marked words under the cursor
+            const onMarkedWord = this.selectionAnchor < 0 && this.markedIndices.has(this.cursorIndex);
+            this.quoteToNotes(onMarkedWord ? this.getMarkedBlock(this.cursorIndex) : this.getSelectedIndices());
+        } else if (key === 'Escape') {
+            this.clearCursor();
+            this.hideNotesDropdown();
+            this.hideDictionaryPopover();
+            this.hideQuoteMenu();
+        } else {
+            handled = false;
+        }
+        
+        if (handled) {
+            event.preventDefault();
+        }
+    }
+    
+    newDocument() {
+        if (confirm('Start with a new document? This will clear your current session.')) {
+            // Save the finished session before its state is cleared
+            this.recordReadingPosition();
+            const sessionSaved = this.saveSession();
+            this.currentSessionId = null;
+            this.sessionCreatedAt = null;
+            
+            // Reset state
+            this.markedWords.clear();
+            this.removedWords = [];
+            this.markingMode = false;
+            this.words = [];
+            this.originalText = '';
+            this.originalHtml = '';
+            this.textInput.value = '';
+            this.textIsHidden = false;
+            this.hiddenFromIndex = -1;
+            this.continueBtn.style.display = 'none';
+            this.cancelAutoContinue();
+            this.resetHistory();
+            this.focusEvents = [];
+            this.stopSpeech();
+            if (this.rsvpActive) this.exitRsvp();
+            
+            // Reset UI
+            document.querySelector('.input-section').style.display = 'block';
+            this.readingSection.style.display = 'none';
+            this.floatingControls.style.display = 'none';
+            this.hideSummary();
+            
+            // Reset PDF
+            this.cancelPdfExtraction(true);
+            this.loadedPdf = null;
+            this.pdfData = null;
+            this.pdfSourceWords = [];
+            this.toggleSourceView(false);
+            this.pdfFileName = '';
+            this.pdfPageRange = null;
+            this.pageSelectionPanel.style.display = 'none';
+            
+            // Reset EPUB
+            this.loadedEpub = null;
+            this.epubFileName = '';
+            this.epubChapterRange = null;
+            this.chapterSelectionPanel.style.display = 'none';
+            this.uploadStatus.textContent = '';
+            this.pdfUpload.value = '';
+            
+            sessionSaved.then(() => this.loadSessionList());
+        }
+    }
+    
+    showSummary() {
+        if (this.removedWords.length === 0) {
+            alert('No words have been removed yet!');
+            return;
+        }
+        
+        // Group instances by marked text
+        const instancesByWord = new Map();
+        this.removedWords.forEach(instance => {
+            const key = instance.markedText;
+            if (!instancesByWord.has(key)) {
+                instancesByWord.set(key, []);
+            }
+            instancesByWord.get(key).push(instance);
+        });
+        
+        // Update stats
+        this.totalMarked.textContent = this.removedWords.length;
+        this.uniqueMarked.textContent = instancesByWord.size;
+        
+        // Create list items sorted by count
+        const sortedGroups = Array.from(instancesByWord.entries())
+            .sort((a, b) => b[1].length - a[1].length);
+        
+        this.summaryList.innerHTML = '';
+        
+        sortedGroups.forEach(([markedText, instances]) => {
+            const div = document.createElement('div');
+            div.className = 'word-item';
+            
+            const firstInstance = instances[0];
+            const before = firstInstance.before || '...';
+            const after = firstInstance.after || '...';
+            
+            div.innerHTML = `
+                <div class="word-item-context">
+                    <span class="context-word">${this.escapeHtml(before)}</span>
+                    <span class="marked-word">${this.escapeHtml(markedText)}</span>
+                    <span class="context-word">${this.escapeHtml(after)}</span>
+                    ${firstInstance.isPhrase ? '<span class="phrase-badge">phrase</span>' : ''}
+                </div>
+                <span class="word-item-count">${instances.length}x</span>
+            `;
+            
+            this.summaryList.appendChild(div);
+        });
+        
+        // Show panel and overlay
+        this.summaryPanel.style.display = 'block';
+        this.overlay.classList.add('active');
+    }
+    
+    hideSummary() {
+        this.summaryPanel.style.display = 'none';
+        this.overlay.classList.remove('active');
+    }
+    
+    recordReadingPosition() {
+        // Log the furthest word the reader has had on screen, when it moved forward
+        if (this.readingSection.style.display === 'none' || this.wordBlocks.length === 0) return;
+        
+        const index = this.getBottomVisibleWordIndex();
+        const furthest = this.focusEvents.reduce((max, event) =>
+            event.type === 'position' ? Math.max(max, event.index) : max, -1);
+        if (index > furthest) {
+            this.recordFocusEvent('position', index);
+        }
+    }
+    
+    recordFocusEvent(type, index = null) {
+        this.focusEvents.push({ type: type, time: Date.now(), index: index });
+    }
+    
+    computeFocusStats(events, wordCount, now = null) {
+        // Walk the event log: time between events counts as reading unless the
+        // reader was paused at the Continue gate or the session was closed
+        let readingMs = 0;
+        let pausedMs = 0;
+        let marks = 0;
+        let pauses = 0;
+        let furthestIndex = -1;
+        let paused = false;
+        
+        events.forEach((event, i) => {
+            const next = events[i + 1];
+            
+            if (event.type === 'mark') {
+                marks++;
+            } else if (event.type === 'unmark') {
+                marks = Math.max(0, marks - 1);
+            } else if (event.type === 'pause') {
+                pauses++;
+                paused = true;
+            } else if (event.type === 'continue' || event.type === 'start') {
+                paused = false;
+            }
+            
+            // Marks and position checks both show how far the reader got
+            if ((event.type === 'mark' || event.type === 'position') && event.index !== null && event.index > furthestIndex) {
+                furthestIndex = event.index;
+            }
+            
+            // A resume means the time before it was spent away from the reader
+            const endTime = next ? (next.type === 'resume' ? null : next.time) : now;
+            if (endTime === null) return;
+            
+            if (paused) {
+                pausedMs += endTime - event.time;
+            } else {
+                readingMs += endTime - event.time;
+            }
+        });
+        
+        const wordsRead = Math.min(furthestIndex + 1, wordCount);
+        const readingMinutes = readingMs / 60000;
+        
+        return {
+            readingMs: readingMs,
+            pausedMs: pausedMs,
+            marks: marks,
+            pauses: pauses,
+            wordsRead: wordsRead,
+            wordsPerMinute: readingMinutes > 0 && wordsRead > 0 ? wordsRead / readingMinutes : null,
+            distractionRate: wordsRead > 0 ? (marks / wordsRead) * 1000 : null
+        };
+    }
+    
+    formatDuration(ms) {
+        const totalSeconds = Math.round(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        if (minutes >= 60) {
+            return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+        }
+        return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+    }
+    
+    async showAnalytics() {
+        this.recordReadingPosition();
+        const stats = this.computeFocusStats(this.focusEvents, this.words.length, Date.now());
+        
+        this.analyticsWpm.textContent = stats.wordsPerMinute !== null ? Math.round(stats.wordsPerMinute) : '–';
+        this.analyticsDistractionRate.textContent = stats.distractionRate !== null ? stats.distractionRate.toFixed(1) : '–';
+        this.analyticsPausedTime.textContent = this.formatDuration(stats.pausedMs);
+        this.analyticsReadingTime.textContent = this.formatDuration(stats.readingMs);
+        
+        const averagePause = stats.pauses > 0 ? this.formatDuration(stats.pausedMs / stats.pauses) : '–';
+        this.analyticsDetails.textContent =
+            `${stats.marks} distraction(s) over ${stats.wordsRead} words read · average pause ${averagePause}`;
+        
+        this.renderKnownDistractorStats();
+        await this.renderAnalyticsTrend();
+        
+        // Show panel and overlay
+        this.analyticsPanel.style.display = 'block';
+        this.overlay.classList.add('active');
+    }
+    
+    async renderAnalyticsTrend() {
+        this.analyticsTrend.innerHTML = '';
+        
+        // Make sure the current session is part of the trend
+        await this.saveSession();
+        
+        let sessions = [];
+        if (this.db) {
+            try {
+                const transaction = this.db.transaction(['sessions'], 'readonly');
+                const store = transaction.objectStore('sessions');
+                sessions = await this.idbRequest(store.getAll());
+            } catch (error) {
+                console.error('Error loading sessions for analytics:', error);
+            }
+        }
+        
+        // Oldest first so the trend reads left to right, limited to the last 10
+        const rows = sessions
+            .filter(session => session.focusEvents && session.focusEvents.length > 0)
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .slice(-10)
+            .map(session => ({
+                session: session,
+                stats: this.computeFocusStats(session.focusEvents, session.wordCount || 0)
+            }));
+        
+        if (rows.length === 0) {
+            this.analyticsTrend.innerHTML = '<div class="empty-state">No saved sessions with focus data yet.</div>';
+            return;
+        }
+        
+        const maxRate = Math.max(1, ...rows.map(row => row.stats.distractionRate || 0));
+        
+        rows.forEach(({ session, stats }) => {
+            const rate = stats.distractionRate || 0;
+            const wpm = stats.wordsPerMinute !== null ? `${Math.round(stats.wordsPerMinute)} wpm` : '– wpm';
+            
+            const div = document.createElement('div');
+            div.className = 'trend-item';
+            if (session.id === this.currentSessionId) {
+                div.classList.add('current');
+            }
+            div.innerHTML = `
+                <div class="trend-label">
+                    <span class="trend-title">${this.escapeHtml(session.title || 'Untitled session')}</span>
+                    <span class="trend-date">${this.escapeHtml(new Date(session.createdAt).toLocaleDateString())}</span>
+                </div>
+                <div class="trend-bar">
+                    <div class="trend-bar-fill" style="width: ${(rate / maxRate) * 100}%"></div>
+                </div>
+                <div class="trend-values">${rate.toFixed(1)} / 1k · ${wpm}</div>
+            `;
+            this.analyticsTrend.appendChild(div);
+        });
+    }
+    
+    hideAnalytics() {
+        this.analyticsPanel.style.display = 'none';
+        this.overlay.classList.remove('active');
+    }
+    
+    async loadKnownDistractors() {
+        if (!this.db) return;
+        
+        try {
+            const transaction = this.db.transaction(['distractors'], 'readonly');
+            const records = await this.idbRequest(transaction.objectStore('distractors').getAll());
+            this.knownDistractors = new Map(records.map(record => [record.word, record]));
+        } catch (error) {
+            console.error('Error loading known distractors:', error);
+        }
+        
+        this.updateDistractorsStatus();
+        if (this.words.length > 0) this.highlightKnownDistractors();
+    }
+    
+    async saveKnownDistractors(records) {
+        if (!this.db || records.length === 0) return;
+        
+        try {
+            const transaction = this.db.transaction(['distractors'], 'readwrite');
+            const store = transaction.objectStore('distractors');
+            records.forEach(record => store.put(record));
+            await this.idbTransactionDone(transaction);
+        } catch (error) {
+            console.error('Error saving known distractors:', error);
+        }
+    }
+    
+    getDistractorRecord(word, source) {
+        if (!this.knownDistractors.has(word)) {
+            this.knownDistractors.set(word, {
+                word: word,
+                source: source,
+                timesMarked: 0,
+                documentsSeen: 0,
+                occurrencesSeen: 0,
+                addedAt: Date.now(),
+                lastSeenAt: null
+            });
+        }
+        return this.knownDistractors.get(word);
+    }
+    
+    normalizeDistractor(text) {
+        // Same key format as markedWords: cleaned words joined by single spaces
+        return text.split(/\s+/).map(word => this.cleanWord(word)).filter(word => word).join(' ');
+    }
+    
+    recordKnownDistractor(word) {
+        if (!word) return;
+        
+        const record = this.getDistractorRecord(word, 'marked');
+        record.timesMarked++;
+        this.saveKnownDistractors([record]);
+        this.updateDistractorsStatus();
+    }
+    
+    unrecordKnownDistractor(word) {
+        // Reverse recordKnownDistractor for a mark that was taken back
+        const record = this.knownDistractors.get(word);
+        if (!record) return;
+        
+        record.timesMarked = Math.max(0, record.timesMarked - 1);
+        if (record.source === 'marked' && record.timesMarked === 0) {
+            this.knownDistractors.delete(word);
+            this.deleteKnownDistractor(word);
+        } else {
+            this.saveKnownDistractors([record]);
+        }
+        this.updateDistractorsStatus();
+    }
+    
+    async deleteKnownDistractor(word) {
+        if (!this.db) return;
+        
+        try {
+            const transaction = this.db.transaction(['distractors'], 'readwrite');
+            await this.idbRequest(transaction.objectStore('distractors').delete(word));
+        } catch (error) {
+            console.error('Error deleting known distractor:', error);
+        }
+    }
+    
+    mergeKnownDistractors(counts, source) {
+        // Imports and rebuilds keep the higher count, so repeating them doesn't inflate it
+        const records = [];
+        counts.forEach((count, word) => {
+            const record = this.getDistractorRecord(word, source);
+            record.timesMarked = Math.max(record.timesMarked, count);
+            records.push(record);
+        });
+        
+        return this.saveKnownDistractors(records).then(() => {
+            this.updateDistractorsStatus();
+            return records.length;
+        });
+    }
+    
+    parseCsvRows(text) {
+        // RFC 4180: quoted fields may contain commas, line breaks and doubled quotes
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        
+        return rows;
+    }
+    
+    async handleDistractorsUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        
+        try {
+            const text = await file.text();
+            const counts = new Map();
+            
+            if (/\.csv$/i.test(file.name)) {
+                const rows = this.parseCsvRows(text).filter(row => row.some(cell => cell.trim()));
+                
+                // A header row (like our own export) tells us where the counts are
+                let countColumn = -1;
+                if (rows.length > 0 && /^(word|words|term|removed word\(s\))$/i.test(rows[0][0].trim())) {
+                    countColumn = rows[0].findIndex(cell => /count|times/i.test(cell));
+                    rows.shift();
+                }
+                
+                rows.forEach(row => {
+                    const word = this.normalizeDistractor(row[0]);
+                    const count = countColumn >= 0 ? parseInt(row[countColumn]) || 1 : 1;
+                    if (word) counts.set(word, (counts.get(word) || 0) + count);
+                });
+            } else {
+                // Plain text: one word or phrase per line
+                text.split(/\r?\n/).forEach(line => {
+                    const word = this.normalizeDistractor(line);
+                    if (word) counts.set(word, (counts.get(word) || 0) + 1);
+                });
+            }
+            
+            if (counts.size === 0) {
+                throw new Error('No words found in the file');
+            }
+            
+            const imported = await this.mergeKnownDistractors(counts, 'import');
+            this.distractorsStatus.textContent = `✓ Imported ${imported} word(s) · ${this.knownDistractors.size} known`;
+        } catch (error) {
+            console.error('Known distractors import error:', error);
+            this.distractorsStatus.textContent = `✗ ${error.message}`;
+            this.distractorsStatus.className = 'upload-status error';
+        }
+        
+        this.distractorsUpload.value = '';
+    }
+    
+    async buildDistractorsFromSessions() {
+        if (!this.db) return;
+        
+        let sessions = [];
+        try {
+            const transaction = this.db.transaction(['sessions'], 'readonly');
+            sessions = await this.idbRequest(transaction.objectStore('sessions').getAll());
+        } catch (error) {
+            console.error('Error loading sessions for known distractors:', error);
+        }
+        
+        // Total how often each word was marked across every saved session
+        const counts = new Map();
+        sessions.forEach(session => {
+            (session.markedWords || []).forEach(([word, count]) => {
+                counts.set(word, (counts.get(word) || 0) + count);
+            });
+        });
+        
+        if (counts.size === 0) {
+            alert('No marked words found in saved sessions yet.');
+            return;
+        }
+        
+        const added = await this.mergeKnownDistractors(counts, 'marked');
+        this.distractorsStatus.textContent = `✓ ${added} word(s) from ${sessions.length} session(s) · ${this.knownDistractors.size} known`;
+    }
+    
+    async clearKnownDistractors() {
+        if (this.knownDistractors.size === 0) return;
+        if (!confirm(`Forget all ${this.knownDistractors.size} known distractors and their statistics?`)) return;
+        
+        if (this.db) {
+            try {
+                const transaction = this.db.transaction(['distractors'], 'readwrite');
+                transaction.objectStore('distractors').clear();
+                await this.idbTransactionDone(transaction);
+            } catch (error) {
+                console.error('Error clearing known distractors:', error);
+            }
+        }
+        
+        this.knownDistractors.clear();
+        this.updateDistractorsStatus();
+    }
+    
+    updateDistractorsStatus() {
+        if (!this.distractorsStatus) return;
+        
+        const count = this.knownDistractors.size;
+        this.distractorsStatus.textContent = count > 0 ? `${count} known distractor(s)` : '';
+        this.distractorsStatus.className = 'upload-status';
+        this.clearDistractorsBtn.style.display = count > 0 ? '' : 'none';
+    }
+    
+    highlightKnownDistractors() {
+        const { matches, indices } = this.findKnownDistractors();
+        this.knownDistractorMatches = matches;
+        this.knownIndices = indices;
+        
+        this.refreshWordStates();
+        this.updateKnownDistractorSummary();
+    }
+    
+    findKnownDistractors(from = 0) {
+        // Known distractors in the document that end at or after word `from`:
+        // {matches: key -> count, indices}
+        const matches = new Map();
+        const indices = new Set();
+        
+        // Phrases are looked up by their first word
+        const phrasesByFirstWord = new Map();
+        let longest = 1;
+        this.knownDistractors.forEach((record, key) => {
+            const parts = key.split(' ');
+            if (parts.length < 2) return;
+            longest = Math.max(longest, parts.length);
+            if (!phrasesByFirstWord.has(parts[0])) phrasesByFirstWord.set(parts[0], []);
+            phrasesByFirstWord.get(parts[0]).push(parts);
+        });
+        
+        const addMatch = (key, start, length) => {
+            matches.set(key, (matches.get(key) || 0) + 1);
+            for (let i = start; i < start + length; i++) {
+                indices.add(i);
+            }
+        };
+        
+        // A phrase that starts a little before `from` can still end after it
+        const first = Math.max(0, from - longest + 1);
+        const cleaned = this.words.slice(first).map(word => this.cleanWord(word));
+        cleaned.forEach((word, i) => {
+            if (!word) return;
+            const index = first + i;
+            if (index >= from && this.knownDistractors.has(word)) addMatch(word, index, 1);
+            
+            (phrasesByFirstWord.get(word) || []).forEach(parts => {
+                if (index + parts.length > from && parts.every((part, offset) => cleaned[i + offset] === part)) {
+                    addMatch(parts.join(' '), index, parts.length);
+                }
+            });
+        });
+        
+        return { matches: matches, indices: indices };
+    }
+    
+    updateKnownDistractorSummary() {
+        if (!this.knownDistractorSummary) return;
+        
+        const total = Array.from(this.knownDistractorMatches.values()).reduce((sum, count) => sum + count, 0);
+        if (total === 0) {
+            this.knownDistractorSummary.style.display = 'none';
+            return;
+        }
+        
+        const density = (total / Math.max(1, this.words.length)) * 100;
+        const top = Array.from(this.knownDistractorMatches.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 5)
+            .map(([word, count]) => `${word} ×${count}`)
+            .join(', ');
+        
+        this.knownDistractorSummary.textContent =
+            `🚩 ${total} known distractor(s) in this text (${density.toFixed(1)}% of words) · most frequent: ${top}`;
+        this.knownDistractorSummary.style.display = 'block';
+    }
+    
+    recordDistractorReappearances(matches, counted = new Map()) {
+        // Count each new document once per known distractor it contains;
+        // `counted` holds what earlier parts of the same document already added
+        const records = [];
+        matches.forEach((count, word) => {
+            const record = this.knownDistractors.get(word);
+            if (!record) return;
+            if (!counted.has(word)) record.documentsSeen++;
+            record.occurrencesSeen += count;
+            record.lastSeenAt = Date.now();
+            records.push(record);
+        });
+        
+        this.saveKnownDistractors(records);
+    }
+    
+    renderKnownDistractorStats() {
+        if (!this.analyticsDistractors) return;
+        
+        const rows = Array.from(this.knownDistractorMatches.entries()).sort((a, b) => b[1] - a[1]);
+        if (rows.length === 0) {
+            this.analyticsDistractors.innerHTML = '<div class="empty-state">No known distractors appear in this text.</div>';
+            return;
+        }
+        
+        this.analyticsDistractors.innerHTML = rows.map(([word, count]) => {
+            const record = this.knownDistractors.get(word) || {};
+            return `
+                <div class="word-item">
+                    <div class="word-item-context">
+                        <span class="marked-word known-distractor-word">${this.escapeHtml(word)}</span>
+                        <span class="context-word">
+                            seen in ${record.documentsSeen || 0} document(s), ${record.occurrencesSeen || 0} time(s) in total · marked ${record.timesMarked || 0} time(s)
+                        </span>
+                    </div>
+                    <span class="word-item-count">${count}x</span>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    async handleDictionaryUpload(event) {
+        const files = Array.from(event.target.files);
+        if (files.length === 0) return;
+        
+        if (!this.db) {
+            alert('The dictionary needs IndexedDB, which is not available in this browser.');
+            return;
+        }
+        
+        this.dictionaryStatus.textContent = 'Reading dictionary...';
+        this.dictionaryStatus.className = 'upload-status';
+        
+        try {
+            let entries;
+            if (files.some(file => /\.ifo$/i.test(file.name))) {
+                entries = await this.parseStarDict(files);
+            } else if (/\.json$/i.test(files[0].name)) {
+                entries = this.parseJsonDictionary(JSON.parse(await files[0].text()));
+            } else {
+                entries = this.parseTabDictionary(await files[0].text());
+            }
+            
+            if (entries.length === 0) {
+                throw new Error('No dictionary entries found');
+            }
+            
+            await this.storeDictionaryEntries(entries);
+            
+            const name = files[0].name.replace(/\.(ifo|idx|dict|dz|json|tsv|txt|csv)+$/i, '');
+            localStorage.setItem('dictionaryName', name);
+            this.updateDictionaryStatus();
+            
+        } catch (error) {
+            console.error('Dictionary import error:', error);
+            this.dictionaryStatus.textContent = `✗ ${error.message}`;
+            this.dictionaryStatus.className = 'upload-status error';
+        }
+        
+        this.dictionaryUpload.value = '';
+    }
+    
+    async updateDictionaryStatus() {
+        if (!this.dictionaryStatus) return;
+        
+        const name = localStorage.getItem('dictionaryName');
+        this.dictionaryStatus.textContent = name ? `✓ Dictionary: ${name}` : '';
+        this.dictionaryStatus.className = 'upload-status';
+    }
+    
+    normalizeDictionaryEntry(word, entry) {
+        // Accept the common field names used by WordNet/Wiktionary JSON exports
+        if (typeof entry === 'string') {
+            return { word: word, pos: '', definition: entry, pronunciation: '' };
+        }
+        
+        let definition = entry.definition || entry.definitions || entry.meaning || entry.meanings || entry.gloss || '';
+        if (Array.isArray(definition)) {
+            definition = definition.map(d => (typeof d === 'string' ? d : d.definition || d.gloss || '')).filter(d => d).join('; ');
+        }
+        
+        return {
+            word: word || entry.word || entry.term || entry.headword || '',
+            pos: entry.pos || entry.partOfSpeech || entry.part_of_speech || '',
+            definition: String(definition),
+            pronunciation: entry.pronunciation || entry.ipa || entry.phonetic || ''
+        };
+    }
+    
+    parseJsonDictionary(data) {
+        const entries = [];
+        
+        if (Array.isArray(data)) {
+            data.forEach(entry => entries.push(this.normalizeDictionaryEntry(null, entry)));
+        } else {
+            // Object keyed by word; each value may be one entry or a list of senses
+            Object.entries(data).forEach(([word, value]) => {
+                (Array.isArray(value) ? value : [value]).forEach(entry => {
+                    entries.push(this.normalizeDictionaryEntry(word, entry));
+                });
+            });
+        }
+        
+        return entries.filter(entry => entry.word && entry.definition);
+    }
+    
+    parseTabDictionary(text) {
+        // word<TAB>definition, or word<TAB>part of speech<TAB>definition<TAB>pronunciation
+        return text.split(/\r?\n/).map(line => {
+            const columns = line.split('\t');
+            if (columns.length === 2) {
+                return { word: columns[0], pos: '', definition: columns[1], pronunciation: '' };
+            }
+            return { word: columns[0], pos: columns[1] || '', definition: columns[2] || '', pronunciation: columns[3] || '' };
+        }).filter(entry => entry.word && entry.definition);
+    }
+    
+    async readDictionaryFile(file) {
+        // .dz/.gz files are gzip-compatible
+        if (/\.(dz|gz)$/i.test(file.name)) {
+            const stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+        return new Uint8Array(await file.arrayBuffer());
+    }
+    
+    async parseStarDict(files) {
+        const ifoFile = files.find(file => /\.ifo$/i.test(file.name));
+        const idxFile = files.find(file => /\.idx(\.gz)?$/i.test(file.name));
+        const dictFile = files.find(file => /\.dict(\.dz)?$/i.test(file.name));
+        
+        if (!idxFile || !dictFile) {
+            throw new Error('Select the .ifo, .idx and .dict (or .dict.dz) files together');
+        }
+        
+        // The .ifo file is a list of key=value lines
+        const info = {};
+        (await ifoFile.text()).split(/\r?\n/).forEach(line => {
+            const separator = line.indexOf('=');
+            if (separator > 0) info[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        });
+        
+        const idx = await this.readDictionaryFile(idxFile);
+        const dict = await this.readDictionaryFile(dictFile);
+        const view = new DataView(idx.buffer);
+        const decoder = new TextDecoder();
+        const offsetBytes = info.idxoffsetbits === '64' ? 8 : 4;
+        const entries = [];
+        
+        // Each index record: NUL-terminated word, then offset and size into .dict
+        let position = 0;
+        while (position < idx.length) {
+            const end = idx.indexOf(0, position);
+            if (end < 0) break;
+            const word = decoder.decode(idx.subarray(position, end));
+            position = end + 1;
+            
+            const offset = offsetBytes === 8 ? Number(view.getBigUint64(position)) : view.getUint32(position);
+            position += offsetBytes;
+            const size = view.getUint32(position);
+            position += 4;
+            
+            const fields = this.parseStarDictFields(dict.subarray(offset, offset + size), info.sametypesequence || '', decoder);
+            const definition = fields.filter(f => 'mlgxhy'.includes(f.type)).map(f => f.text).join('\n');
+            const pronunciation = fields.filter(f => f.type === 't').map(f => f.text).join(', ');
+            
+            if (definition) {
+                entries.push({ word: word, pos: '', definition: definition, pronunciation: pronunciation });
+            }
+        }
+        
+        return entries;
+    }
+    
+    parseStarDictFields(data, sequence, decoder) {
+        const fields = [];
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        let position = 0;
+        
+        const readField = (type, isLast) => {
+            if (type === type.toLowerCase()) {
+                // Text fields are NUL-terminated, except the last one of a fixed sequence
+                let end = isLast ? data.length : data.indexOf(0, position);
+                if (end < 0) end = data.length;
+                let text = decoder.decode(data.subarray(position, end));
+                if ('gxh'.includes(type)) {
+                    text = new DOMParser().parseFromString(text, 'text/html').body.textContent;
+                }
+                fields.push({ type: type, text: text.trim() });
+                position = end + 1;
+            } else {
+                // Binary fields (sounds, pictures) are size-prefixed and skipped
+                const size = isLast ? data.length - position : view.getUint32(position);
+                position += (isLast ? 0 : 4) + size;
+            }
+        };
+        
+        if (sequence) {
+            Array.from(sequence).forEach((type, i) => readField(type, i === sequence.length - 1));
+        } else {
+            while (position < data.length) {
+                const type = String.fromCharCode(data[position++]);
+                readField(type, false);
+            }
+        }
+        
+        return fields;
+    }
+    
+    async storeDictionaryEntries(entries) {
+        // A new import replaces the previous dictionary rather than merging into it
+        localStorage.removeItem('dictionaryName');
+        const clearing = this.db.transaction(['dictionary'], 'readwrite');
+        clearing.objectStore('dictionary').clear();
+        await this.idbTransactionDone(clearing);
+        
+        // Group senses by lowercase headword
+        const byWord = new Map();
+        entries.forEach(entry => {
+            const key = entry.word.trim().toLowerCase();
+            if (!byWord.has(key)) byWord.set(key, []);
+            byWord.get(key).push({ pos: entry.pos, definition: entry.definition, pronunciation: entry.pronunciation });
+        });
+        
+        // Write in batches so huge dictionaries don't hold one giant transaction
+        const records = Array.from(byWord.entries());
+        const batchSize = 5000;
+        for (let i = 0; i < records.length; i += batchSize) {
+            this.dictionaryStatus.textContent = `Importing ${Math.min(i + batchSize, records.length)} of ${records.length} words...`;
+            
+            const transaction = this.db.transaction(['dictionary'], 'readwrite');
+            const store = transaction.objectStore('dictionary');
+            records.slice(i, i + batchSize).forEach(([word, senses]) => {
+                store.put({ word: word, entries: senses });
+            });
+            await this.idbTransactionDone(transaction);
+        }
+    }
+    
+    getLookupCandidates(word) {
+        // Try the word itself, then a few common inflection stems; the word is already
+        // cleaned, so a possessive "'s" arrives as a plain "s"
+        const candidates = [word];
+        const rules = [
+            [/ies$/, 'y'], [/ied$/, 'y'], [/es$/, ''], [/s$/, ''], [/ed$/, ''], [/ed$/, 'e'],
+            [/ing$/, ''], [/ing$/, 'e'], [/ly$/, ''], [/er$/, ''], [/est$/, '']
+        ];
+        rules.forEach(([pattern, replacement]) => {
+            if (pattern.test(word)) candidates.push(word.replace(pattern, replacement));
+        });
+        
+        // Doubled consonants: "stopped" -> "stop"
+        const doubled = word.match(/^(.*([bcdfgklmnprstvz]))\2(ed|ing)$/);
+        if (doubled) candidates.push(doubled[1]);
+        
+        return Array.from(new Set(candidates)).filter(candidate => candidate.length > 1);
+    }
+    
+    async lookupWord(word) {
+        if (!this.db) return null;
+        
+        const transaction = this.db.transaction(['dictionary'], 'readonly');
+        const store = transaction.objectStore('dictionary');
+        
+        for (const candidate of this.getLookupCandidates(word)) {
+            const record = await this.idbRequest(store.get(candidate));
+            if (record) return record;
+        }
+        return null;
+    }
+    
+    async showDictionaryPopover(wordElement) {
+        if (!this.dictionaryPopover || wordElement.classList.contains('hidden')) return;
+        
+        const word = this.cleanWord(wordElement.textContent).replace(/[^\p{L}\p{N}'-]/gu, '');
+        if (!word) return;
+        
+        this.popoverWord = wordElement;
+        this.popoverEntry = null;
+        
+        let record = null;
+        try {
+            record = await this.lookupWord(word);
+        } catch (error) {
+            console.error('Dictionary lookup error:', error);
+        }
+        
+        // Ignore the result if another word was clicked meanwhile
+        if (this.popoverWord !== wordElement) return;
+        
+        if (record) {
+            this.popoverEntry = record;
+            const pronunciation = record.entries.map(e => e.pronunciation).find(p => p);
+            this.dictionaryContent.innerHTML = `
+                <div class="dictionary-headword">${this.escapeHtml(record.word)}</div>
+                ${pronunciation ? `<div class="dictionary-pronunciation">/${this.escapeHtml(pronunciation.replace(/^\/|\/$/g, ''))}/</div>` : ''}
+                <ol class="dictionary-senses">
+                    ${record.entries.slice(0, 6).map(entry => `
+                        <li>
+                            ${entry.pos ? `<span class="dictionary-pos">${this.escapeHtml(entry.pos)}</span>` : ''}
+                            ${this.escapeHtml(entry.definition)}
+                        </li>
+                    `).join('')}
+                </ol>
+            `;
+        } else {
+            const hasDictionary = !!localStorage.getItem('dictionaryName');
+            this.dictionaryContent.innerHTML = `
+                <div class="dictionary-headword">${this.escapeHtml(word)}</div>
+                <div class="dictionary-empty">
+                    ${hasDictionary ? 'Not found in your dictionary.' : 'No dictionary imported yet. Use “Import Dictionary” on the document screen.'}
+                </div>
+            `;
+        }
+        this.dictionaryNotesBtn.disabled = !record;
+        this.dictionaryMarkBtn.textContent = wordElement.classList.contains('marked') ? 'Unmark Word' : 'Mark Word';
+        
+        // Position below the word, kept inside the viewport
+        this.dictionaryPopover.style.display = 'block';
+        const rect = wordElement.getBoundingClientRect();
+        const width = this.dictionaryPopover.offsetWidth;
+        const left = Math.max(10, Math.min(rect.left + window.scrollX, window.scrollX + window.innerWidth - width - 10));
+        this.dictionaryPopover.style.left = `${left}px`;
+        this.dictionaryPopover.style.top = `${rect.bottom + window.scrollY + 8}px`;
+    }
+    
+    hideDictionaryPopover() {
+        if (!this.dictionaryPopover) return;
+        this.dictionaryPopover.style.display = 'none';
+        this.popoverWord = null;
+        this.popoverEntry = null;
+    }
+    
+    markPopoverWord() {
+        if (!this.popoverWord) return;
+        
+        this.toggleWordMarks([parseInt(this.popoverWord.dataset.index)]);
+        this.hideDictionaryPopover();
+    }
+    
+    sendDefinitionToNotes() {
+        if (!this.popoverEntry) return;
+        
+        const definitions = this.popoverEntry.entries.slice(0, 3)
+            .map(entry => `${entry.pos ? `(${entry.pos}) ` : ''}${entry.definition}`)
+            .join('\n');
+        const note = `${this.popoverEntry.word}:\n${definitions}`;
+        this.startNoteFromWord(parseInt(this.popoverWord.dataset.index));
+        
+        // Add to whatever is already in the notes editor
+        const existing = this.notesTextarea.value.trim();
+        this.notesTextarea.value = existing ? `${existing}\n\n${note}` : note;
+        this.hideDictionaryPopover();
+        
+        if (this.currentNoteType) {
+            this.openNotes(this.currentNoteType);
+        } else {
+            // Pick a category first; the note stays in the editor
+            this.notesDropdown.style.display = 'block';
+        }
+    }
+    
+    getMarkedBlock(index) {
+        // Grouped as in getMarkedInstances: a phrase, or a run of marked single words
+        if (!this.markedIndices.has(index)) return [];
+        
+        const phraseStart = this.phraseStarts.get(index);
+        const inBlock = i => this.markedIndices.has(i) && this.phraseStarts.get(i) === phraseStart;
+        let start = index;
+        while (inBlock(start - 1)) start--;
+        let end = index;
+        while (inBlock(end + 1)) end++;
+        
+        return this.getIndexRange(start, end);
+    }
+    
+    getTextSelectionIndices() {
+        const selection = window.getSelection();
+        if (!selection || selection.isCollapsed || selection.rangeCount === 0) return [];
+        
+        const range = selection.getRangeAt(0);
+        if (!this.readingContent.contains(range.commonAncestorContainer)) return [];
+        return Array.from(this.readingContent.querySelectorAll('.word'))
+            .filter(el => range.intersectsNode(el))
+            .map(el => parseInt(el.dataset.index));
+    }
+    
+    handleReadingContextMenu(event) {
+        // A text selection wins, then a keyboard selection around the word, then its marked block;
+        // anywhere else the browser's own menu opens
+        const wordElement = event.target.closest('.word');
+        const index = wordElement ? parseInt(wordElement.dataset.index) : -1;
+        const bounds = this.getSelectionBounds();
+        
+        let indices = this.getTextSelectionIndices();
+        if (indices.length === 0 && this.selectionAnchor >= 0 && index >= bounds.start && index <= bounds.end) {
+            indices = this.getSelectedIndices();
+        }
+        if (indices.length === 0 && index >= 0) {
+            indices = this.getMarkedBlock(index);
+        }
+        
+        indices = indices.filter(i => !this.isWordHidden(i));
+        if (indices.length === 0) {
+            this.hideQuoteMenu();
+            return;
+        }
+        
+        event.preventDefault();
+        this.hideDictionaryPopover();
+        this.quoteIndices = indices;
+        
+        // Open at the pointer, kept inside the viewport
+        this.quoteMenu.style.display = 'block';
+        const width = this.quoteMenu.offsetWidth;
+        const left = Math.max(10, Math.min(event.pageX, window.scrollX + window.innerWidth - width - 10));
+        this.quoteMenu.style.left = `${left}px`;
+        this.quoteMenu.style.top = `${event.pageY}px`;
+    }
+    
+    hideQuoteMenu() {
+        this.quoteMenu.style.display = 'none';
+        this.quoteIndices = [];
+    }
+    
+    quoteToNotes(indices) {
+        const quoted = indices.filter(index => !this.isWordHidden(index));
+        this.hideQuoteMenu();
+        if (quoted.length === 0) return;
+        
+        const start = quoted[0];
+        const end = quoted[quoted.length - 1];
+        // Only the words in view are quoted, with an ellipsis where the gate hides some
+        const text = quoted
+            .map((index, i) => i > 0 && index > quoted[i - 1] + 1 ? `… ${this.words[index]}` : this.words[index])
+            .join(' ');
+        const page = this.getNotePage(start);
+        const source = this.pdfFileName || this.epubFileName || this.getSessionTitle();
+        
+        // The quote in bold within its sentence, then where it came from
+        const sentence = this.getSentenceBounds(start, end);
+        const contextWords = (from, to) => this.words.slice(from, to)
+            .filter((word, offset) => !this.isWordHidden(from + offset)).join(' ');
+        const quote = [
+            `> ${[contextWords(sentence.start, start), `**${text}**`, contextWords(end + 1, sentence.end + 1)].filter(part => part).join(' ')}`,
+            '>',
+            `> — ${source}${page ? `, p. ${page}` : ''}`
+        ].join('\n');
+        
+        // The header still dates the entry, but the sentence is already quoted
+        const existing = this.notesTextarea.value.trim();
+        if (!existing) {
+            this.noteContext = { word: text, sentence: '', page: page };
+        }
+        this.notesTextarea.value = existing ? `${existing}\n\n${quote}\n\n` : `${quote}\n\n`;
+        window.getSelection().removeAllRanges();
+        
+        // Without a category yet, the editor opens with its category picker focused
+        this.openNotes(this.currentNoteType);
+        const length = this.notesTextarea.value.length;
+        this.notesTextarea.setSelectionRange(length, length);
+        if (!this.currentNoteType) this.notesCategorySelect.focus();
+    }
+    
+    getSentenceBounds(startIndex, endIndex) {
+        // Expand from the given words to the surrounding sentence boundaries
+        const endsSentence = word => /[.!?]["'”’)]*$/.test(word);
+        const maxWords = 30;
+        
+        let start = startIndex;
+        while (start > 0 && startIndex - start < maxWords && !endsSentence(this.words[start - 1])) {
+            start--;
+        }
+        let end = endIndex;
+        while (end < this.words.length - 1 && end - endIndex < maxWords && !endsSentence(this.words[end])) {
+            end++;
+        }
+        
+        return { start: start, end: end };
+    }
+    
+    getSentenceContext(startIndex, endIndex) {
+        const { start, end } = this.getSentenceBounds(startIndex, endIndex);
+        return this.words.slice(start, end + 1).join(' ');
+    }
+    
+    async addToVocabulary(indices) {
+        if (!this.db || indices.length === 0) return;
+        
+        const word = indices.map(index => this.cleanWord(this.words[index])).filter(w => w).join(' ');
+        if (!word) return;
+        
+        const display = indices.map(index => this.words[index]).join(' ').replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+        const context = {
+            sentence: this.getSentenceContext(indices[0], indices[indices.length - 1]),
+            source: this.getSessionTitle(),
+            addedAt: Date.now()
+        };
+        
+        try {
+            const transaction = this.db.transaction(['vocabulary'], 'readwrite');
+            const store = transaction.objectStore('vocabulary');
+            const existing = await this.idbRequest(store.get(word));
+            
+            let card;
+            if (existing) {
+                // Keep a handful of distinct example sentences per card
+                card = existing;
+                if (!card.contexts.some(c => c.sentence === context.sentence)) {
+                    card.contexts.unshift(context);
+                    card.contexts = card.contexts.slice(0, 5);
+                }
+                card.timesMarked = (card.timesMarked || 1) + 1;
+            } else {
+                card = {
+                    word: word,
+                    display: display || word,
+                    contexts: [context],
+                    timesMarked: 1,
+                    easiness: 2.5,
+                    interval: 0,
+                    repetitions: 0,
+                    due: Date.now(),
+                    createdAt: Date.now(),
+                    lastReviewed: null
+                };
+            }
+            
+            await this.idbRequest(store.put(card));
+        } catch (error) {
+            console.error('Error adding word to vocabulary deck:', error);
+        }
+        
+        this.updateVocabularyBadge();
+    }
+    
+    async removeFromVocabulary(indices) {
+        // Reverse addToVocabulary for a mark that was taken back; a card only
+        // that mark created goes away
+        if (!this.db || indices.length === 0) return;
+        
+        const word = indices.map(index => this.cleanWord(this.words[index] || '')).filter(w => w).join(' ');
+        if (!word) return;
+        const sentence = this.getSentenceContext(indices[0], indices[indices.length - 1]);
+        
+        try {
+            const transaction = this.db.transaction(['vocabulary'], 'readwrite');
+            const store = transaction.objectStore('vocabulary');
+            const card = await this.idbRequest(store.get(word));
+            if (!card) return;
+            
+            if ((card.timesMarked || 1) <= 1) {
+                await this.idbRequest(store.delete(word));
+            } else {
+                card.timesMarked--;
+                const contexts = card.contexts.filter(c => c.sentence !== sentence);
+                if (contexts.length > 0) card.contexts = contexts;
+                await this.idbRequest(store.put(card));
+            }
+        } catch (error) {
+            console.error('Error removing word from vocabulary deck:', error);
+        }
+        
+        this.updateVocabularyBadge();
+    }
+    
+    async getVocabularyCards() {
+        if (!this.db) return [];
+        
+        try {
+            const transaction = this.db.transaction(['vocabulary'], 'readonly');
+            const store = transaction.objectStore('vocabulary');
+            return await this.idbRequest(store.getAll());
+        } catch (error) {
+            console.error('Error loading vocabulary deck:', error);
+            return [];
+        }
+    }
+    
+    async updateVocabularyBadge() {
+        const cards = await this.getVocabularyCards();
+        const now = Date.now();
+        const dueCount = cards.filter(card => card.due <= now).length;
+        
+        [this.reviewDeckBtn, this.reviewDeckBtnFloat].forEach(button => {
+            if (button) button.textContent = `🧠 Review Deck (${dueCount} due)`;
+        });
+    }
+    
+    scheduleCard(card, quality) {
+        // SM-2: quality 0-5, anything below 3 starts the card over
+        const dayMs = 24 * 60 * 60 * 1000;
+        const next = { ...card };
+        
+        if (quality < 3) {
+            next.repetitions = 0;
+            next.interval = 0;
+        } else {
+            next.repetitions = card.repetitions + 1;
+            if (next.repetitions === 1) {
+                next.interval = 1;
+            } else if (next.repetitions === 2) {
+                next.interval = 6;
+            } else {
+                next.interval = Math.round(card.interval * card.easiness);
+            }
+        }
+        
+        next.easiness = Math.max(1.3, card.easiness + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+        next.due = Date.now() + next.interval * dayMs;
+        next.lastReviewed = Date.now();
+        return next;
+    }
+    
+    async openVocabularyReview() {
+        const now = Date.now();
+        const cards = await this.getVocabularyCards();
+        
+        this.reviewQueue = cards
+            .filter(card => card.due <= now)
+            .sort((a, b) => a.due - b.due);
+        this.reviewTotal = this.reviewQueue.length;
+        this.reviewDeckSize = cards.length;
+        
+        this.vocabularyPanel.style.display = 'block';
+        this.overlay.classList.add('active');
+        this.showNextReviewCard();
+    }
+    
+    hideVocabularyReview() {
+        if (!this.vocabularyPanel) return;
+        this.vocabularyPanel.style.display = 'none';
+        this.overlay.classList.remove('active');
+        this.reviewCard = null;
+        this.updateVocabularyBadge();
+    }
+    
+    showNextReviewCard() {
+        this.reviewCard = this.reviewQueue.shift() || null;
+        
+        if (!this.reviewCard) {
+            this.vocabularyProgress.textContent = `${this.reviewDeckSize} card(s) in deck`;
+            this.vocabularyFront.innerHTML = this.reviewDeckSize === 0
+                ? '<div class="empty-state">Your deck is empty. Marked words are added automatically.</div>'
+                : '<div class="empty-state">🎉 Nothing left to review right now. Come back later!</div>';
+            this.vocabularyBack.style.display = 'none';
+            this.showAnswerBtn.style.display = 'none';
+            this.gradeButtons.style.display = 'none';
+            this.deleteCardBtn.style.display = 'none';
+            return;
+        }
+        
+        const reviewed = this.reviewTotal - this.reviewQueue.length;
+        this.vocabularyProgress.textContent = `Card ${reviewed} of ${this.reviewTotal} due · ${this.reviewDeckSize} in deck`;
+        this.vocabularyFront.innerHTML = `<div class="vocabulary-word">${this.escapeHtml(this.reviewCard.display)}</div>`;
+        this.vocabularyBack.style.display = 'none';
+        this.showAnswerBtn.style.display = 'inline-block';
+        this.gradeButtons.style.display = 'none';
+        this.deleteCardBtn.style.display = 'inline-block';
+    }
+    
+    revealReviewCard() {
+        if (!this.reviewCard) return;
+        
+        // Show the sentences the word was marked in, with the word highlighted;
+        // the word is found in the raw sentence so characters like & still match
+        const pattern = new RegExp(`(${this.reviewCard.display.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+        const highlight = sentence => sentence.split(pattern)
+            .map((part, i) => i % 2 === 1 ? `<mark>${this.escapeHtml(part)}</mark>` : this.escapeHtml(part))
+            .join('');
+        this.vocabularyBack.innerHTML = this.reviewCard.contexts.map(context => `
+            <div class="vocabulary-context">
+                <div class="vocabulary-sentence">${highlight(context.sentence)}</div>
+                <div class="vocabulary-source">${this.escapeHtml(context.source || '')}</div>
+            </div>
+        `).join('') + `<div class="vocabulary-meta">Marked ${this.reviewCard.timesMarked || 1}x</div>`;
+        
+        // Preview the next interval on each grade button
+        this.gradeButtons.querySelectorAll('button').forEach(button => {
+            const next = this.scheduleCard(this.reviewCard, parseInt(button.dataset.quality));
+            button.querySelector('.grade-interval').textContent = next.interval === 0 ? 'now' : `${next.interval}d`;
+        });
+        
+        this.vocabularyBack.style.display = 'block';
+        this.showAnswerBtn.style.display = 'none';
+        this.gradeButtons.style.display = 'flex';
+    }
+    
+    async gradeReviewCard(quality) {
+        if (!this.reviewCard || this.gradeButtons.style.display === 'none') return;
+        
+        const updated = this.scheduleCard(this.reviewCard, quality);
+        
+        try {
+            const transaction = this.db.transaction(['vocabulary'], 'readwrite');
+            await this.idbRequest(transaction.objectStore('vocabulary').put(updated));
+        } catch (error) {
+            console.error('Error saving vocabulary review:', error);
+        }
+        
+        // Failed cards come back at the end of this review
+        if (quality < 3) {
+            this.reviewQueue.push(updated);
+            this.reviewTotal++;
+        }
+        
+        this.showNextReviewCard();
+    }
+    
+    async deleteReviewCard() {
+        if (!this.reviewCard) return;
+        
+        if (!confirm(`Remove "${this.reviewCard.display}" from your vocabulary deck?`)) {
+            return;
+        }
+        
+        try {
+            const transaction = this.db.transaction(['vocabulary'], 'readwrite');
+            await this.idbRequest(transaction.objectStore('vocabulary').delete(this.reviewCard.word));
+        } catch (error) {
+            console.error('Error deleting vocabulary card:', error);
+        }
+        
+        this.reviewDeckSize--;
+        this.showNextReviewCard();
+    }
+    
+    handleVocabularyKeydown(event) {
+        if (this.vocabularyPanel.style.display !== 'block') return;
+        
+        if (event.key === ' ' || event.key === 'Enter') {
+            event.preventDefault();
+            this.revealReviewCard();
+        } else if (['1', '2', '3', '4'].includes(event.key)) {
+            const button = this.gradeButtons.querySelectorAll('button')[parseInt(event.key) - 1];
+            this.gradeReviewCard(parseInt(button.dataset.quality));
+        } else if (event.key === 'Escape') {
+            this.hideVocabularyReview();
+        }
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
+    continueReading() {
+        if (this.textIsHidden) {
+            this.recordHistory();
+            this.recordFocusEvent('continue');
+            this.recordReadingPosition();
+        }
+        
+        // Show all hidden words
+        const hiddenRange = this.hiddenRange;
+        this.hiddenRange = null;
+        if (hiddenRange) {
+            this.refreshWordStates(hiddenRange.start, hiddenRange.end);
+        }
+        
+        // Hide continue button
+        this.continueBtn.style.display = 'none';
+        this.cancelAutoContinue();
+        
+        // Reset state
+        this.textIsHidden = false;
+        this.hiddenFromIndex = -1;
+        this.scheduleSessionSave();
+        
+        // Resume read-aloud if it was waiting at the gate
+        if (this.isSpeaking) {
+            this.speakNextChunk();
+        }
+        
+        // Resume speed reading from the marked word
+        if (this.rsvpActive) {
+            this.showRsvpChunk();
+            if (this.rsvpPlaying) {
+                this.scheduleRsvpStep();
+            }
+        }
+    }
+    
+    startRsvp() {
+        if (this.words.length === 0) return;
+        
+        this.pauseSpeech();
+        
+        // Restore saved settings
+        this.rsvpWpm.value = localStorage.getItem('rsvpWpm') || '300';
+        this.rsvpChunkSize.value = localStorage.getItem('rsvpChunkSize') || '1';
+        
+        // Start at the keyboard cursor, or the beginning
+        this.rsvpIndex = this.cursorIndex >= 0 ? this.cursorIndex : 0;
+        this.rsvpActive = true;
+        this.rsvpPlaying = false;
+        
+        this.readingContent.style.display = 'none';
+        this.rsvpPanel.style.display = 'block';
+        this.showRsvpChunk();
+        this.updateRsvpPlayButton();
+    }
+    
+    exitRsvp() {
+        this.rsvpActive = false;
+        this.rsvpPlaying = false;
+        clearTimeout(this.rsvpTimer);
+        
+        this.rsvpPanel.style.display = 'none';
+        this.readingContent.style.display = '';
+        
+        // Carry on in normal reading mode where speed reading stopped
+        this.setCursor(this.rsvpIndex);
+    }
+    
+    saveRsvpSettings() {
+        const wpm = Math.max(60, Math.min(1500, parseInt(this.rsvpWpm.value) || 300));
+        this.rsvpWpm.value = wpm;
+        localStorage.setItem('rsvpWpm', wpm);
+        localStorage.setItem('rsvpChunkSize', this.rsvpChunkSize.value);
+    }
+    
+    toggleRsvpPlayback() {
+        this.rsvpPlaying = !this.rsvpPlaying;
+        clearTimeout(this.rsvpTimer);
+        
+        if (this.rsvpPlaying) {
+            // Restart from the beginning once the end was reached
+            if (this.rsvpIndex >= this.words.length) {
+                this.rsvpIndex = 0;
+                this.showRsvpChunk();
+            }
+            this.scheduleRsvpStep();
+        }
+        this.updateRsvpPlayButton();
+    }
+    
+    updateRsvpPlayButton() {
+        this.rsvpPlayBtn.textContent = this.rsvpPlaying ? '⏸ Pause' : '▶ Play';
+    }
+    
+    showRsvpChunk() {
+        const chunkSize = parseInt(this.rsvpChunkSize.value) || 1;
+        
+        // Stop at the Continue gate just like the reading view does
+        const limit = this.textIsHidden ? this.hiddenFromIndex : this.words.length;
+        const chunkEnd = Math.min(limit, this.rsvpIndex + chunkSize);
+        this.rsvpChunk = chunkEnd > this.rsvpIndex ? this.getIndexRange(this.rsvpIndex, chunkEnd - 1) : [];
+        
+        this.rsvpWord.innerHTML = '';
+        this.rsvpWord.classList.remove('marked');
+        
+        if (this.rsvpChunk.length === 0) {
+            this.rsvpStatus.textContent = this.textIsHidden
+                ? '⏸ Paused at a distraction. Press C or Continue Reading to go on.'
+                : '✓ End of document';
+            return;
+        }
+        
+        // Split the chunk around its optimal recognition point
+        const text = this.rsvpChunk.map(index => this.words[index]).join(' ');
+        const pivot = this.getOrpIndex(text);
+        [text.slice(0, pivot), text.charAt(pivot), text.slice(pivot + 1)].forEach((part, i) => {
+            const span = document.createElement('span');
+            span.className = ['rsvp-before', 'rsvp-pivot', 'rsvp-after'][i];
+            span.textContent = part;
+            this.rsvpWord.appendChild(span);
+        });
+        this.rsvpWord.classList.toggle('marked', this.rsvpChunk.every(index => this.markedIndices.has(index)));
+        
+        this.rsvpStatus.textContent = `Word ${this.rsvpIndex + 1} of ${this.words.length}`;
+    }
+    
+    getOrpIndex(text) {
+        // Roughly a third of the way in, leaning left for short words
+        const length = text.length;
+        if (length <= 1) return 0;
+        if (length <= 5) return 1;
+        if (length <= 9) return 2;
+        if (length <= 13) return 3;
+        return Math.floor(length * 0.3);
+    }
+    
+    getRsvpDelay(indices) {
+        const wpm = parseInt(this.rsvpWpm.value) || 300;
+        const chunkWords = indices.map(index => this.words[index]);
+        const text = chunkWords.join(' ');
+        let delay = (60000 / wpm) * indices.length;
+        
+        // Linger on sentence and clause endings, and on long words
+        if (/[.!?]["'”’)]*$/.test(text)) {
+            delay *= 2;
+        } else if (/[,;:—–-]["'”’)]*$/.test(text)) {
+            delay *= 1.5;
+        }
+        const longest = Math.max(...chunkWords.map(word => word.length));
+        if (longest > 8) {
+            delay *= 1 + (longest - 8) * 0.05;
+        }
+        
+        return delay;
+    }
+    
+    scheduleRsvpStep() {
+        clearTimeout(this.rsvpTimer);
+        if (!this.rsvpPlaying || this.rsvpChunk.length === 0) return;
+        
+        this.rsvpTimer = setTimeout(() => this.stepRsvp(1), this.getRsvpDelay(this.rsvpChunk));
+    }
+    
+    stepRsvp(direction) {
+        const chunkSize = parseInt(this.rsvpChunkSize.value) || 1;
+        const limit = this.textIsHidden ? this.hiddenFromIndex : this.words.length;
+        this.rsvpIndex = Math.max(0, Math.min(limit, this.rsvpIndex + direction * chunkSize));
+        
+        this.showRsvpChunk();
+        
+        if (this.rsvpChunk.length === 0 && !this.textIsHidden) {
+            // Reached the end of the document
+            this.rsvpPlaying = false;
+            this.updateRsvpPlayButton();
+        }
+        this.scheduleRsvpStep();
+    }
+    
+    markRsvpChunk() {
+        if (!this.rsvpActive || this.textIsHidden || this.rsvpChunk.length === 0) return;
+        
+        // Same as clicking the word: marks it and stops at the Continue gate
+        this.toggleWordMarks(this.rsvpChunk);
+        
+        clearTimeout(this.rsvpTimer);
+        this.showRsvpChunk();
+        this.scheduleRsvpStep();
+    }
+    
+    handleRsvpKeydown(event) {
+        const key = event.key;
+        const lowerKey = key.toLowerCase();
+        let handled = true;
+        
+        if (key === ' ') {
+            this.toggleRsvpPlayback();
+        } else if (key === 'Enter' || lowerKey === 'x') {
+            this.markRsvpChunk();
+        } else if (key === 'ArrowLeft' || lowerKey === 'h') {
+            this.stepRsvp(-1);
+        } else if (key === 'ArrowRight' || lowerKey === 'l') {
+            this.stepRsvp(1);
+        } else if (key === 'ArrowUp' || key === 'ArrowDown') {
+            // Adjust speed in steps of 25 words per minute
+            this.rsvpWpm.value = (parseInt(this.rsvpWpm.value) || 300) + (key === 'ArrowUp' ? 25 : -25);
+            this.saveRsvpSettings();
+        } else if (lowerKey === 'c') {
+            if (this.textIsHidden) this.continueReading();
+        } else if (key === 'Escape') {
+            this.exitRsvp();
+        } else {
+            handled = false;
+        }
+        
+        if (handled) {
+            event.preventDefault();
+        }
+    }
+    
+    initSpeech() {
+        if (!this.speechControls) return;
+        
+        if (!this.speechSupported) {
+            this.speechControls.style.display = 'none';
+            return;
+        }
+        
+        // Restore saved settings
+        this.speechRate.value = localStorage.getItem('speechRate') || '1';
+        this.updateSpeechRateLabel();
+        
+        // Voices load asynchronously in most browsers
+        this.populateVoices();
+        speechSynthesis.addEventListener('voiceschanged', () => this.populateVoices());
+    }
+    
+    populateVoices() {
+        const voices = speechSynthesis.getVoices();
+        const savedVoice = localStorage.getItem('speechVoice') || '';
+        
+        this.speechVoice.innerHTML = '<option value="">Default voice</option>';
+        voices.forEach(voice => {
+            const option = document.createElement('option');
+            option.value = voice.voiceURI;
+            option.textContent = `${voice.name} (${voice.lang})`;
+            this.speechVoice.appendChild(option);
+        });
+        
+        if (voices.some(voice => voice.voiceURI === savedVoice)) {
+            this.speechVoice.value = savedVoice;
+        }
+    }
+    
+    updateSpeechRateLabel() {
+        this.speechRateValue.textContent = `${parseFloat(this.speechRate.value).toFixed(1)}×`;
+    }
+    
+    handleSpeechSettingChange() {
+        this.updateSpeechRateLabel();
+        localStorage.setItem('speechRate', this.speechRate.value);
+        localStorage.setItem('speechVoice', this.speechVoice.value);
+        
+        // Apply the new settings from the current word
+        if (this.isSpeaking && !this.textIsHidden) {
+            this.cancelUtterance();
+            this.speakNextChunk();
+        }
+    }
+    
+    toggleSpeech() {
+        if (!this.speechSupported) return;
+        
+        if (this.isSpeaking) {
+            this.pauseSpeech();
+            return;
+        }
+        
+        // Start from the keyboard cursor if there is one; a resume only follows
+        // the cursor if it was moved during the pause
+        if (this.cursorIndex >= 0 && this.cursorIndex !== this.speechPausedCursor) {
+            this.speechIndex = this.cursorIndex;
+        }
+        
+        this.isSpeaking = true;
+        this.updateSpeechButton();
+        if (!this.textIsHidden) {
+            this.speakNextChunk();
+        }
+    }
+    
+    pauseSpeech() {
+        this.isSpeaking = false;
+        this.speechPausedCursor = this.cursorIndex;
+        this.cancelUtterance();
+        this.updateSpeechButton();
+    }
+    
+    stopSpeech() {
+        this.pauseSpeech();
+        this.speechIndex = 0;
+        this.speechPausedCursor = null;
+        
+        const spoken = this.speakingIndex;
+        this.speakingIndex = -1;
+        this.applyWordState(spoken);
+    }
+    
+    cancelUtterance() {
+        if (!this.speechSupported) return;
+        
+        // Clear first so the cancelled utterance's end event is ignored
+        this.currentUtterance = null;
+        speechSynthesis.cancel();
+    }
+    
+    holdSpeechAt(index) {
+        if (!this.isSpeaking) return;
+        
+        this.cancelUtterance();
+        this.speechIndex = index;
+    }
+    
+    updateSpeechButton() {
+        if (!this.speechToggleBtn) return;
+        this.speechToggleBtn.textContent = this.isSpeaking ? '⏸ Pause Reading' : '🔊 Read Aloud';
+        this.speechToggleBtn.classList.toggle('active', this.isSpeaking);
+    }
+    
+    speakNextChunk() {
+        // Never read past the Continue gate
+        const limit = this.textIsHidden ? this.hiddenFromIndex : this.words.length;
+        if (this.speechIndex >= limit) {
+            if (!this.textIsHidden) {
+                // Reached the end of the document
+                this.stopSpeech();
+            }
+            return;
+        }
+        
+        // Speak in chunks: long utterances get cut off by some engines
+        const chunkEnd = Math.min(limit, this.speechIndex + 200);
+        const offsets = [];
+        let text = '';
+        for (let i = this.speechIndex; i < chunkEnd; i++) {
+            offsets.push(text.length);
+            text += this.words[i] + ' ';
+        }
+        const chunkStart = this.speechIndex;
+        
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.rate = parseFloat(this.speechRate.value) || 1;
+        const voice = speechSynthesis.getVoices().find(v => v.voiceURI === this.speechVoice.value);
+        if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+        }
+        
+        utterance.onboundary = (event) => {
+            if (this.currentUtterance !== utterance || (event.name && event.name !== 'word')) return;
+            
+            // Find the word whose offset starts at or before the spoken character
+            let low = 0;
+            let high = offsets.length - 1;
+            while (low < high) {
+                const mid = Math.ceil((low + high) / 2);
+                if (offsets[mid] <= event.charIndex) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            this.highlightSpokenWord(chunkStart + low);
+        };
+        
+        utterance.onend = () => {
+            if (this.currentUtterance !== utterance) return;
+            this.speechIndex = chunkEnd;
+            this.speakNextChunk();
+        };
+        
+        utterance.onerror = (event) => {
+            if (this.currentUtterance !== utterance) return;
+            console.error('Speech synthesis error:', event.error);
+            this.pauseSpeech();
+        };
+        
+        this.currentUtterance = utterance;
+        speechSynthesis.speak(utterance);
+    }
+    
+    highlightSpokenWord(index) {
+        const previous = this.speakingIndex;
+        this.speakingIndex = index;
+        this.applyWordState(previous);
+        
+        const element = this.getWordElement(index);
+        if (element) {
+            this.applyWordState(index);
+            element.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+        this.speechIndex = index;
+    }
+    
+    getMarkedInstances() {
+        const markedIndices = Array.from(this.markedIndices).sort((a, b) => a - b);
+        const instances = [];
+        const source = this.getSessionTitle();
+        
+        // Group consecutive marked words into blocks
+        let i = 0;
+        while (i < markedIndices.length) {
+            // Found start of a marked block
+            const blockStart = markedIndices[i];
+            let blockEnd = blockStart;
+            
+            // Find end of consecutive marked words (a phrase is always its own block)
+            const phraseStart = this.phraseStarts.get(blockStart);
+            while (i + 1 < markedIndices.length &&
+                   markedIndices[i + 1] === blockEnd + 1 &&
+                   this.phraseStarts.get(markedIndices[i + 1]) === phraseStart) {
+                blockEnd++;
+                i++;
+            }
+            
+            // Get context
+            const before = blockStart > 0 ? this.words[blockStart - 1] : null;
+            const after = blockEnd + 1 < this.words.length ? this.words[blockEnd + 1] : null;
+            
+            instances.push({
+                markedText: this.words.slice(blockStart, blockEnd + 1).join(' ').trim(),
+                before: before ? before.trim() : null,
+                after: after ? after.trim() : null,
+                sentence: this.getSentenceContext(blockStart, blockEnd),
+                source: source,
+                isPhrase: phraseStart !== undefined
+            });
+            
+            // Skip to the next block
+            i++;
+        }
+        
+        return instances;
+    }
+    
+    groupRemovedWords() {
+        // Group instances by marked text, most frequent first
+        const instancesByWord = new Map();
+        this.removedWords.forEach(instance => {
+            const key = instance.markedText;
+            if (!instancesByWord.has(key)) {
+                instancesByWord.set(key, []);
+            }
+            instancesByWord.get(key).push(instance);
+        });
+        
+        return Array.from(instancesByWord.entries())
+            .sort((a, b) => b[1].length - a[1].length);
+    }
+    
+    getInstanceContext(instance) {
+        // Sessions saved before sentences were recorded only have neighbouring words
+        if (instance.sentence) return instance.sentence;
+        return `${instance.before || ''} ${instance.markedText} ${instance.after || ''}`.trim();
+    }
+    
+    escapeCsvField(value) {
+        // RFC 4180: quote fields containing quotes, commas or line breaks; double inner quotes
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    
+    escapeMarkdownCell(value) {
+        return (value || '').replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/\s*[\r\n]+\s*/g, ' ');
+    }
+    
+    buildExport(format) {
+        const groups = this.groupRemovedWords();
+        
+        if (format === 'json') {
+            const data = {
+                exportedAt: new Date().toISOString(),
+                totalInstances: this.removedWords.length,
+                words: groups.map(([markedText, instances]) => ({
+                    markedText: markedText,
+                    count: instances.length,
+                    isPhrase: instances.some(instance => instance.isPhrase),
+                    instances: instances.map(instance => ({
+                        before: instance.before,
+                        after: instance.after,
+                        sentence: instance.sentence || null,
+                        source: instance.source || null
+                    }))
+                }))
+            };
+            return { content: JSON.stringify(data, null, 2), type: 'application/json', extension: 'json' };
+        }
+        
+        if (format === 'markdown') {
+            const rows = groups.map(([markedText, instances]) => {
+                const first = instances[0];
+                const context = `${first.before || ''} **${markedText}** ${first.after || ''}`.trim();
+                return `| ${this.escapeMarkdownCell(markedText)} | ${instances.length} | ${this.escapeMarkdownCell(context)} |`;
+            });
+            const content = ['| Removed Word(s) | Count | Context |', '| --- | ---: | --- |', ...rows].join('\n') + '\n';
+            return { content: content, type: 'text/markdown', extension: 'md' };
+        }
+        
+        if (format === 'anki') {
+            // Anki reads these header lines; tabs and newlines inside fields would break columns,
+            // and fields containing quotes must be quoted the same way as CSV
+            const clean = value => {
+                const text = value.replace(/[\t\r\n]+/g, ' ').trim();
+                return text.includes('"') ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const lines = groups.map(([markedText, instances]) => {
+                return `${clean(markedText)}\t${clean(this.getInstanceContext(instances[0]))}`;
+            });
+            const content = ['#separator:tab', '#html:false', ...lines].join('\n') + '\n';
+            return { content: content, type: 'text/tab-separated-values', extension: 'txt' };
+        }
+        
+        // CSV with CRLF line endings as RFC 4180 specifies
+        const header = ['Removed Word(s)', 'Context Before', 'Context After', 'Sentence', 'Count'];
+        const rows = groups.map(([markedText, instances]) => {
+            const first = instances[0];
+            return [markedText, first.before, first.after, this.getInstanceContext(first), instances.length];
+        });
+        const content = [header, ...rows].map(row => row.map(field => this.escapeCsvField(field)).join(',')).join('\r\n') + '\r\n';
+        return { content: content, type: 'text/csv', extension: 'csv' };
+    }
+    
+    getExportFormat() {
+        const selected = this.exportModal.querySelector('input[name="exportFormat"]:checked');
+        return selected ? selected.value : 'csv';
+    }
+    
+    openExportDialog() {
+        if (this.removedWords.length === 0) {
+            alert('No words to export!');
+            return;
+        }
+        
+        const savedFormat = localStorage.getItem('exportFormat');
+        const savedInput = savedFormat && this.exportModal.querySelector(`input[name="exportFormat"][value="${savedFormat}"]`);
+        if (savedInput) savedInput.checked = true;
+        
+        this.updateExportPreview();
+        this.exportModal.style.display = 'flex';
+    }
+    
+    closeExportDialog() {
+        this.exportModal.style.display = 'none';
+    }
+    
+    updateExportPreview() {
+        const format = this.getExportFormat();
+        localStorage.setItem('exportFormat', format);
+        
+        // Show the first lines so the layout can be checked before downloading
+        const lines = this.buildExport(format).content.split(/\r?\n/);
+        const preview = lines.slice(0, 12).join('\n');
+        this.exportPreview.textContent = lines.length > 12 ? `${preview}\n…` : preview;
+    }
+    
+    exportList() {
+        if (this.removedWords.length === 0) {
+            alert('No words to export!');
+            return;
+        }
+        
+        const { content, type, extension } = this.buildExport(this.getExportFormat());
+        
+        // Create download link
+        const blob = new Blob([content], { type: type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `removed-words.${extension}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        
+        this.closeExportDialog();
+    }
+    
+    copyExport() {
+        const { content } = this.buildExport(this.getExportFormat());
+        
+        navigator.clipboard.writeText(content).then(() => {
+            const originalText = this.copyExportBtn.textContent;
+            this.copyExportBtn.textContent = '✓ Copied!';
+            
+            setTimeout(() => {
+                this.copyExportBtn.textContent = originalText;
+            }, 2000);
+        }).catch(err => {
+            alert('Failed to copy to clipboard. Please try again.');
+            console.error('Copy failed:', err);
+        });
+    }
+    
+    copyToClipboard() {
+        if (this.removedWords.length === 0) {
+            alert('No words to copy!');
+            return;
+        }
+        
+        // Create text list
+        const sortedGroups = this.groupRemovedWords();
+        
+        let textContent = 'Removed Words:\n\n';
+        sortedGroups.forEach(([markedText, instances]) => {
+            const firstInstance = instances[0];
+            const before = firstInstance.before || '';
+            const after = firstInstance.after || '';
+            const context = `${before} [${markedText}] ${after}`.trim();
+            textContent += `${context} (${instances.length}x)\n`;
+        });
+        
+        // Copy to clipboard
+        navigator.clipboard.writeText(textContent).then(() => {
+            // Show temporary feedback
+            const originalText = this.copyBtn.textContent;
+            this.copyBtn.textContent = '✓ Copied!';
+            this.copyBtn.style.background = '#4caf50';
+            
+            setTimeout(() => {
+                this.copyBtn.textContent = originalText;
+                this.copyBtn.style.background = '';
+            }, 2000);
+        }).catch(err => {
+            alert('Failed to copy to clipboard. Please try again.');
+            console.error('Copy failed:', err);
+        });
+    }
+    
+    async openNotes(noteType) {
+        if (!this.notesModal) {
+            console.error('Notes modal not found in DOM');
+            return;
+        }
+        
+        // Store which note type we're editing (if not already set)
+        if (!this.currentNoteType) {
+            this.currentNoteType = noteType;
+        }
+        
+        // Update modal title based on note type
+        const modalTitle = this.notesModal.querySelector('h2');
+        if (modalTitle) {
+            modalTitle.textContent = this.getNoteTitle(noteType);
+        }
+        this.renderNotesCategorySelect();
+        
+        // The editor only holds the new entry, since saving appends it to the
+        // file; what was saved before is shown under History
+        this.updateNotesPreview();
+        this.notesModal.style.display = 'flex';
+        this.resetNotesAutoLock();
+        this.showNotesTab('write');
+    }
+    
+    renderNotesCategorySelect() {
+        this.notesCategorySelect.innerHTML = '';
+        if (!this.currentNoteType) {
+            const placeholder = new Option('Choose a category…', '', true, true);
+            placeholder.disabled = true;
+            this.notesCategorySelect.add(placeholder);
+        }
+        this.noteCategories.forEach(category => {
+            const selected = category.id === this.currentNoteType;
+            this.notesCategorySelect.add(new Option(this.getNoteTitle(category.id), category.id, selected, selected));
+        });
+    }
+    
+    setNoteCategory(noteType) {
+        // Switching keeps the draft; it is saved to whichever category is chosen
+        this.currentNoteType = noteType;
+        this.notesModal.querySelector('h2').textContent = this.getNoteTitle(noteType);
+        this.renderNotesCategorySelect();
+        this.showNotesTab(this.notesHistoryPanel.style.display !== 'none' ? 'history' : 'write');
+    }
+    
+    closeNotes() {
+        if (!this.notesModal) return;
+        // Just hide the modal, don't clear the textarea
+        // Notes will persist until saved or until switching to a different note type
+        this.notesModal.style.display = 'none';
+    }
+    
+    showNotesTab(tab) {
+        // A locked category shows only the passphrase prompt
+        const locked = this.isNoteCategoryLocked(this.currentNoteType);
+        this.notesTabsBar.style.display = locked ? 'none' : '';
+        this.saveNotesBtn.style.display = locked ? 'none' : '';
+        this.lockNotesBtn.style.display = this.notesKeys.has(this.currentNoteType) ? '' : 'none';
+        if (locked) {
+            this.showNotesLock();
+            return;
+        }
+        this.notesLockPanel.style.display = 'none';
+        
+        this.notesTabs.forEach(button => button.classList.toggle('active', button.dataset.tab === tab));
+        this.notesWritePanel.style.display = tab === 'write' ? 'block' : 'none';
+        this.notesHistoryPanel.style.display = tab === 'history' ? 'block' : 'none';
+        
+        if (tab === 'history') {
+            return this.renderNotesHistory();
+        } else {
+            this.notesTextarea.focus();
+        }
+    }
+    
+    scheduleNotesPreview() {
+        clearTimeout(this.notesPreviewTimer);
+        this.notesPreviewTimer = setTimeout(() => this.updateNotesPreview(), 150);
+    }
+    
+    updateNotesPreview() {
+        // Show the entry as it will be saved, header included
+        clearTimeout(this.notesPreviewTimer);
+        const notes = this.notesTextarea.value.trim();
+        this.notesPreview.innerHTML = notes ? this.renderMarkdown(this.buildNoteEntry(notes)) : '';
+    }
+    
+    saveNoteHeaderSettings() {
+        this.noteHeaderEnabled = this.noteHeaderToggle.checked;
+        this.noteHeaderTemplate = this.noteHeaderTemplateInput.value;
+        localStorage.setItem('noteHeaderEnabled', this.noteHeaderEnabled);
+        localStorage.setItem('noteHeaderTemplate', this.noteHeaderTemplate);
+        this.updateNotesPreview();
+    }
+    
+    getNotePage(index) {
+        // The word's page when page positions are known, else the extracted range
+        const source = this.getWordSource(index);
+        if (source) return String(source.page);
+        
+        const range = this.pdfPageRange;
+        if (!range) return '';
+        return range.from === range.to ? String(range.from) : `${range.from}–${range.to}`;
+    }
+    
+    startNoteFromWord(index) {
+        // Remember where a note began, unless a draft was already under way
+        if (this.notesTextarea.value.trim() || index < 0 || index >= this.words.length) return;
+        
+        this.noteContext = {
+            word: this.words[index],
+            sentence: this.getSentenceContext(index, index),
+            page: this.getNotePage(index)
+        };
+    }
+    
+    buildNoteHeader() {
+        const now = new Date();
+        const pad = number => String(number).padStart(2, '0');
+        const context = this.noteContext;
+        
+        // Without a starting word, the page is wherever the reader currently is
+        let page = context ? context.page : '';
+        if (!context && this.readingSection.style.display !== 'none' && this.words.length > 0) {
+            page = this.getNotePage(this.getTopVisibleWordIndex());
+        }
+        
+        const values = {
+            date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+            time: `${pad(now.getHours())}:${pad(now.getMinutes())}`,
+            source: this.pdfFileName || this.epubFileName || (this.originalText ? this.getSessionTitle() : ''),
+            page: page,
+            word: context ? context.word : '',
+            sentence: context ? context.sentence : ''
+        };
+        
+        // Lines whose placeholders all came out empty are left out
+        const placeholder = /\{(date|time|source|page|word|sentence)\}/g;
+        return this.noteHeaderTemplate.split('\n').filter(line => {
+            const names = Array.from(line.matchAll(placeholder), match => match[1]);
+            return names.length === 0 || names.some(name => values[name]);
+        }).map(line => line.replace(placeholder, (match, name) => values[name])).join('\n').trim();
+    }
+    
+    buildNoteEntry(notes) {
+        if (!this.noteHeaderEnabled) return notes;
+        
+        const header = this.buildNoteHeader();
+        return header ? `${header}\n\n${notes}` : notes;
+    }
+    
+    isNoteCategoryEncrypted(noteType) {
+        const category = this.getNoteCategory(noteType);
+        return !!(category && category.encrypted);
+    }
+    
+    isNoteCategoryLocked(noteType) {
+        return this.isNoteCategoryEncrypted(noteType) && !this.notesKeys.has(noteType);
+    }
+    
+    async showNotesLock() {
+        const noteType = this.currentNoteType;
+        const title = this.getNoteTitle(noteType);
+        
+        this.notesWritePanel.style.display = 'none';
+        this.notesHistoryPanel.style.display = 'none';
+        this.notesHistoryPanel.innerHTML = '';
+        this.notesLockPanel.style.display = 'block';
+        
+        // Notes that are already encrypted need their own passphrase, even if
+        // the passphrase settings are gone
+        const firstUse = !this.notesEncryption[noteType] && !await this.findNotesEnvelope(noteType);
+        if (noteType !== this.currentNoteType) return;
+        
+        this.notesLockMessage.textContent = firstUse
+            ? `${title} are stored encrypted. Choose a passphrase for them; it cannot be recovered if you forget it.`
+            : `${title} are locked. Enter the passphrase to open them.`;
+        this.notesPassphrase.autocomplete = firstUse ? 'new-password' : 'current-password';
+        this.notesPassphraseConfirm.style.display = firstUse ? '' : 'none';
+        this.unlockNotesBtn.textContent = firstUse ? 'Set Passphrase' : 'Unlock';
+        this.notesLockError.textContent = '';
+        this.notesPassphrase.focus();
+        
+        // Setting a passphrase can only rewrite the notes file if write access is already granted
+        const handle = this.notesFileHandles[noteType];
+        if (firstUse && handle) {
+            handle.queryPermission({ mode: 'readwrite' }).then(permission => {
+                if (permission !== 'granted' && noteType === this.currentNoteType) {
+                    this.notesLockMessage.textContent += ' Your notes file stays plain text on disk until you next save notes here, which encrypts it.';
+                }
+            }).catch(error => console.error(`Error checking ${noteType} notes file access:`, error));
+        }
+    }
+    
+    async unlockNotes() {
+        const noteType = this.currentNoteType;
+        const passphrase = this.notesPassphrase.value;
+        const config = this.notesEncryption[noteType];
+        if (!noteType || !passphrase || this.unlockNotesBtn.disabled) return;
+        
+        this.unlockNotesBtn.disabled = true;
+        this.notesLockError.textContent = '';
+        try {
+            const envelope = config ? null : await this.findNotesEnvelope(noteType);
+            if (!config && !envelope && passphrase.length < 8) {
+                this.notesLockError.textContent = 'Use at least 8 characters.';
+                return;
+            }
+            if (!config && !envelope && passphrase !== this.notesPassphraseConfirm.value) {
+                this.notesLockError.textContent = 'The passphrases do not match.';
+                return;
+            }
+            
+            if (config) {
+                // AES-GCM rejects the verifier if the passphrase is wrong
+                const key = await this.deriveNotesKey(passphrase, config.salt, config.iterations);
+                await this.decryptWithKey(key, config.verifier);
+                this.notesKeys.set(noteType, { key: key, salt: config.salt, iterations: config.iterations });
+            } else {
+                // Notes encrypted before keep their salt, and the passphrase has to open them
+                const salt = envelope ? envelope.salt : this.toBase64(crypto.getRandomValues(new Uint8Array(16)));
+                const iterations = envelope ? envelope.iterations : NOTES_KDF_ITERATIONS;
+                const key = await this.deriveNotesKey(passphrase, salt, iterations);
+                if (envelope) await this.decryptWithKey(key, envelope);
+                this.notesKeys.set(noteType, { key: key, salt: salt, iterations: iterations });
+                this.notesEncryption[noteType] = {
+                    salt: salt,
+                    iterations: iterations,
+                    verifier: await this.encryptNotesText(noteType, ENCRYPTED_NOTES_HEADER)
+                };
+                localStorage.setItem('notesEncryption', JSON.stringify(this.notesEncryption));
+                if (!await this.encryptExistingNotes(noteType)) {
+                    alert('Your notes file is still plain text on disk. It will be encrypted the next time you save notes in this category.');
+                }
+            }
+            
+            // Bring back the draft that was put away when the category locked
+            if (this.lockedDraft && this.lockedDraft.noteType === noteType) {
+                const draft = await this.decryptNotesText(noteType, this.lockedDraft.payload);
+                const existing = this.notesTextarea.value.trim();
+                this.notesTextarea.value = existing ? `${existing}\n\n${draft}` : draft;
+                this.lockedDraft = null;
+                this.updateNotesPreview();
+            }
+        } catch (error) {
+            console.error('Error unlocking notes:', error);
+            this.notesLockError.textContent = error.name === 'OperationError' ? 'Wrong passphrase.' : `Could not unlock: ${error.message}`;
+            return;
+        } finally {
+            this.unlockNotesBtn.disabled = false;
+        }
+        
+        this.notesPassphrase.value = '';
+        this.notesPassphraseConfirm.value = '';
+        this.resetNotesAutoLock();
+        if (noteType === this.currentNoteType) this.showNotesTab('write');
+    }
+    
+    async findNotesEnvelope(noteType) {
+        // The encrypted notes file or its localStorage copy, if there is one to read
+        try {
+            const stored = localStorage.getItem(`${noteType}Notes`);
+            const envelope = stored && this.parseEncryptedNotes(stored);
+            if (envelope) return envelope;
+            
+            const handle = this.notesFileHandles[noteType];
+            if (handle && await handle.queryPermission({ mode: 'read' }) === 'granted') {
+                return this.parseEncryptedNotes(await (await handle.getFile()).text());
+            }
+        } catch (error) {
+            console.error(`Error reading ${noteType} notes:`, error);
+        }
+        return null;
+    }
+    
+    async lockNotes() {
+        // Forget every key; an open editor falls back to the passphrase prompt
+        clearTimeout(this.notesLockTimer);
+        
+        // Nothing decrypted stays on the page: a draft is put away encrypted until unlock
+        const noteType = this.currentNoteType;
+        if (this.notesKeys.has(noteType)) {
+            const draft = this.notesTextarea.value;
+            if (draft.trim()) {
+                this.lockedDraft = { noteType: noteType, payload: await this.encryptNotesText(noteType, draft) };
+            }
+            this.notesTextarea.value = '';
+            this.notesPreview.innerHTML = '';
+            this.notesHistoryPanel.innerHTML = '';
+        }
+        this.notesKeys.clear();
+        if (this.notesModal.style.display !== 'none') {
+            this.showNotesTab(this.notesHistoryPanel.style.display !== 'none' ? 'history' : 'write');
+        }
+    }
+    
+    resetNotesAutoLock() {
+        clearTimeout(this.notesLockTimer);
+        if (this.notesKeys.size > 0) {
+            this.notesLockTimer = setTimeout(() => this.lockNotes(), NOTES_AUTO_LOCK_MS);
+        }
+    }
+    
+    async encryptExistingNotes(noteType) {
+        // Notes written before the passphrase was set are encrypted right away
+        const storageKey = `${noteType}Notes`;
+        const stored = localStorage.getItem(storageKey);
+        if (stored && !this.parseEncryptedNotes(stored)) {
+            localStorage.setItem(storageKey, await this.encryptNotesFile(noteType, stored));
+        }
+        
+        if (this.db) {
+            const transaction = this.db.transaction(['noteEntries'], 'readonly');
+            const entries = await this.idbRequest(transaction.objectStore('noteEntries').index('category').getAll(noteType));
+            const plain = entries.filter(entry => !entry.encrypted);
+            for (const entry of plain) {
+                entry.encrypted = await this.encryptNotesText(noteType, entry.content);
+                delete entry.content;
+            }
+            if (plain.length > 0) {
+                const writeTransaction = this.db.transaction(['noteEntries'], 'readwrite');
+                plain.forEach(entry => writeTransaction.objectStore('noteEntries').put(entry));
+                await this.idbTransactionDone(writeTransaction);
+            }
+        }
+        
+        // The notes file can only be rewritten now if write access is already granted;
+        // otherwise it is encrypted on the next save. False while it is still plain text.
+        const handle = this.notesFileHandles[noteType];
+        if (!handle) return true;
+        try {
+            if (await handle.queryPermission({ mode: 'readwrite' }) !== 'granted') return false;
+            
+            const text = await (await handle.getFile()).text();
+            if (text.trim() && !this.parseEncryptedNotes(text)) {
+                const writable = await handle.createWritable();
+                await writable.write(await this.encryptNotesFile(noteType, text));
+                await writable.close();
+            }
+            return true;
+        } catch (error) {
+            console.error(`Error encrypting ${noteType} notes file:`, error);
+            return false;
+        }
+    }
+    
+    async deriveNotesKey(passphrase, salt, iterations) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: this.fromBase64(salt), iterations: iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+    
+    getNotesKey(noteType) {
+        const keyInfo = this.notesKeys.get(noteType);
+        if (!keyInfo) {
+            throw new Error(`${this.getNoteTitle(noteType)} are locked.`);
+        }
+        return keyInfo;
+    }
+    
+    async encryptNotesText(noteType, text) {
+        // A fresh IV for every encryption, as AES-GCM requires
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, this.getNotesKey(noteType).key, new TextEncoder().encode(text));
+        return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+    }
+    
+    decryptNotesText(noteType, payload) {
+        return this.decryptWithKey(this.getNotesKey(noteType).key, payload);
+    }
+    
+    async decryptWithKey(key, payload) {
+        const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(payload.iv) }, key, this.fromBase64(payload.data));
+        return new TextDecoder().decode(data);
+    }
+    
+    async encryptNotesFile(noteType, text) {
+        // A header line with the format version, then everything needed to decrypt
+        // the file again with the passphrase
+        const { salt, iterations } = this.getNotesKey(noteType);
+        const payload = await this.encryptNotesText(noteType, text);
+        return `${ENCRYPTED_NOTES_HEADER} v${ENCRYPTED_NOTES_VERSION}\n` + JSON.stringify({
+            kdf: 'PBKDF2-SHA256',
+            iterations: iterations,
+            salt: salt,
+            cipher: 'AES-GCM',
+            iv: payload.iv,
+            data: payload.data
+        }) + '\n';
+    }
+    
+    parseEncryptedNotes(text) {
+        // Null for plain text notes
+        const match = text.match(new RegExp(`^${ENCRYPTED_NOTES_HEADER} v(\\d+)\\r?\\n`));
+        if (!match) return null;
+        
+        if (parseInt(match[1]) > ENCRYPTED_NOTES_VERSION) {
+            throw new Error(`These notes were saved by a newer version (format v${match[1]}).`);
+        }
+        return JSON.parse(text.slice(match[0].length));
+    }
+    
+    async decryptNotesFile(noteType, text) {
+        const envelope = this.parseEncryptedNotes(text);
+        if (!envelope) return text;
+        
+        if (envelope.salt !== this.getNotesKey(noteType).salt) {
+            throw new Error('These notes were encrypted with a different passphrase.');
+        }
+        return this.decryptNotesText(noteType, envelope);
+    }
+    
+    toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+    
+    fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+    
+    isInsideCodeFence(text, position) {
+        // An odd number of fence lines before the position means it is inside one
+        const fences = text.slice(0, position).match(/^\s*(```|~~~)/gm);
+        return !!fences && fences.length % 2 === 1;
+    }
+    
+    handleNotesKeydown(event) {
+        // Enter on a list item starts the next one; on an empty item it ends the list
+        if (event.key !== 'Enter' || event.shiftKey || event.ctrlKey || event.metaKey || event.altKey) return;
+        
+        const textarea = this.notesTextarea;
+        const position = textarea.selectionStart;
+        if (position !== textarea.selectionEnd || this.isInsideCodeFence(textarea.value, position)) return;
+        
+        const lineStart = textarea.value.lastIndexOf('\n', position - 1) + 1;
+        const item = textarea.value.slice(lineStart, position).match(/^(\s*)([-*+]|(\d+)([.)]))(\s+)(.*)$/);
+        if (!item) return;
+        
+        event.preventDefault();
+        if (!item[6].trim()) {
+            textarea.setRangeText('', lineStart, position, 'end');
+        } else {
+            const marker = item[3] ? `${parseInt(item[3]) + 1}${item[4]}` : item[2];
+            textarea.setRangeText(`\n${item[1]}${marker}${item[5]}`, position, position, 'end');
+        }
+        this.scheduleNotesPreview();
+    }
+    
+    applyNotesFormat(format) {
+        const textarea = this.notesTextarea;
+        const { selectionStart: start, selectionEnd: end, value } = textarea;
+        const selected = value.slice(start, end);
+        
+        if (format === 'heading' || format === 'list') {
+            // Prefix every line the selection touches
+            const prefix = format === 'heading' ? '## ' : '- ';
+            const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+            const lines = value.slice(lineStart, end).split('\n')
+                .map(line => line.startsWith(prefix) ? line : prefix + line);
+            textarea.setRangeText(lines.join('\n'), lineStart, end, 'end');
+        } else if (format === 'codeblock') {
+            const before = start > 0 && value[start - 1] !== '\n' ? '\n' : '';
+            textarea.setRangeText(`${before}\`\`\`\n${selected}\n\`\`\`\n`, start, end, 'end');
+            if (!selected) {
+                // Put the cursor on the empty line inside the block
+                const inside = start + before.length + 4;
+                textarea.setSelectionRange(inside, inside);
+            }
+        } else {
+            const wrappers = { bold: ['**', '**'], italic: ['*', '*'], code: ['`', '`'], link: ['[', '](https://)'] };
+            const [open, close] = wrappers[format];
+            textarea.setRangeText(open + selected + close, start, end, 'end');
+            if (format === 'link') {
+                // Select the placeholder address so it can be typed over
+                const urlStart = start + open.length + selected.length + 2;
+                textarea.setSelectionRange(urlStart, urlStart + 'https://'.length);
+            } else if (!selected) {
+                textarea.setSelectionRange(start + open.length, start + open.length);
+            }
+        }
+        
+        textarea.focus();
+        this.scheduleNotesPreview();
+    }
+    
+    renderMarkdown(markdown) {
+        // A small, safe Markdown subset: the text is escaped and only known
+        // syntax becomes markup
+        const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+        const html = [];
+        let paragraph = [];
+        let list = null; // {type: 'ul'|'ol', items: []}
+        let quote = [];
+        
+        const flush = () => {
+            if (paragraph.length) {
+                html.push(`<p>${this.renderInlineMarkdown(paragraph.join('\n'))}</p>`);
+                paragraph = [];
+            }
+            if (list) {
+                const items = list.items.map(item => `<li>${this.renderInlineMarkdown(item)}</li>`).join('');
+                html.push(`<${list.type}>${items}</${list.type}>`);
+                list = null;
+            }
+            if (quote.length) {
+                html.push(`<blockquote>${this.renderMarkdown(quote.join('\n'))}</blockquote>`);
+                quote = [];
+            }
+        };
+        
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            
+            // Fenced code is copied verbatim up to the closing fence
+            const fence = line.match(/^\s*(```|~~~)\s*([\w+#.-]*)/);
+            if (fence) {
+                flush();
+                const code = [];
+                while (i + 1 < lines.length && !lines[i + 1].trim().startsWith(fence[1])) {
+                    code.push(lines[++i]);
+                }
+                i++;
+                const language = fence[2] ? ` class="language-${this.escapeHtml(fence[2])}"` : '';
+                html.push(`<pre><code${language}>${this.escapeHtml(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+            
+            if (!line.trim()) {
+                flush();
+                continue;
+            }
+            
+            const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+            if (heading) {
+                flush();
+                const level = heading[1].length;
+                html.push(`<h${level}>${this.renderInlineMarkdown(heading[2])}</h${level}>`);
+                continue;
+            }
+            
+            if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+                flush();
+                html.push('<hr>');
+                continue;
+            }
+            
+            const quoted = line.match(/^\s*>\s?(.*)$/);
+            if (quoted) {
+                if (paragraph.length || list) flush();
+                quote.push(quoted[1]);
+                continue;
+            }
+            
+            const item = line.match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+            if (item) {
+                const type = /\d/.test(item[1]) ? 'ol' : 'ul';
+                if (paragraph.length || quote.length || (list && list.type !== type)) flush();
+                if (!list) list = { type: type, items: [] };
+                list.items.push(item[2]);
+                continue;
+            }
+            
+            // Indented lines continue the last list item
+            if (list && /^\s+\S/.test(line)) {
+                list.items[list.items.length - 1] += '\n' + line.trim();
+                continue;
+            }
+            
+            if (list || quote.length) flush();
+            paragraph.push(line.trim());
+        }
+        flush();
+        
+        return html.join('\n');
+    }
+    
+    renderInlineMarkdown(text) {
+        // Code spans and links are set aside first so nothing inside them gets formatted
+        const stash = [];
+        const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+        const link = (url, label) => `<a href="${url.replace(/"/g, '&quot;')}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+        
+        return this.escapeHtml(text)
+            .replace(/`([^`\n]+)`/g, (match, code) => keep(`<code>${code}</code>`))
+            .replace(/\[([^\]\n]+)\]\(((?:https?:|mailto:)[^\s)]+)\)/g, (match, label, url) => keep(link(url, label)))
+            .replace(/(^|[\s(])(https?:\/\/[^\s<]+[^\s<.,;:!?)])/g, (match, before, url) => before + keep(link(url, url)))
+            .replace(/\*\*(?!\s)([^*\n]*?\S)\*\*|__(?!\s)([^_\n]*?\S)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+            .replace(/(^|[^*\w])\*(?![\s*])([^*\n]*?[^\s*])\*(?!\w)/g, (match, before, content) => `${before}<em>${content}</em>`)
+            .replace(/(^|[^_\w])_(?![\s_])([^_\n]*?[^\s_])_(?!\w)/g, (match, before, content) => `${before}<em>${content}</em>`)
+            .replace(/\u0000(\d+)\u0000/g, (match, index) => stash[index]);
+    }
+    
+    async recordNoteEntry(noteType, content) {
+        // Each save is kept as its own entry for the category's history
+        if (!this.db) return;
+        
+        try {
+            // Encrypted categories keep only the encrypted text
+            const record = { category: noteType, savedAt: Date.now() };
+            if (this.isNoteCategoryEncrypted(noteType)) {
+                record.encrypted = await this.encryptNotesText(noteType, content);
+            } else {
+                record.content = content;
+            }
+            
+            const transaction = this.db.transaction(['noteEntries'], 'readwrite');
+            await this.idbRequest(transaction.objectStore('noteEntries').add(record));
+        } catch (error) {
+            console.error('Error recording notes entry:', error);
+        }
+    }
+    
+    async getNoteEntries(noteType) {
+        if (!this.db) return [];
+        
+        try {
+            const transaction = this.db.transaction(['noteEntries'], 'readonly');
+            const index = transaction.objectStore('noteEntries').index('category');
+            const entries = await this.idbRequest(index.getAll(noteType));
+            return await Promise.all(entries.map(async entry => entry.encrypted
+                ? { ...entry, content: await this.decryptNotesText(noteType, entry.encrypted) }
+                : entry));
+        } catch (error) {
+            console.error('Error loading notes history:', error);
+            return [];
+        }
+    }
+    
+    async readSavedNotes(noteType) {
+        // The whole notes file (or its fallback copy in localStorage), decrypted
+        const handle = this.notesFileHandles[noteType];
+        try {
+            const text = handle ? await (await handle.getFile()).text() : localStorage.getItem(`${noteType}Notes`) || '';
+            return await this.decryptNotesFile(noteType, text);
+        } catch (error) {
+            console.error(`Error reading ${noteType} notes:`, error);
+            return '';
+        }
+    }
+    
+    async renderNotesHistory() {
+        const noteType = this.currentNoteType;
+        const entries = noteType ? await this.getNoteEntries(noteType) : [];
         
-        // Create list items sorted by count
-        const sortedGroups = Array.from(instancesByWord.entries())
-            .sort((a, b) => b[1].length - a[1].length);
+        // Notes saved before entries were recorded only exist in the file
+        if (entries.length === 0 && noteType) {
+            const earlier = (await this.readSavedNotes(noteType)).trim();
+            if (earlier) {
+                entries.push({ content: earlier, savedAt: null });
+            }
+        }
+        if (noteType !== this.currentNoteType || this.isNoteCategoryLocked(noteType)) return;
         
-        this.summaryList.innerHTML = '';
+        this.notesHistoryPanel.innerHTML = '';
+        if (entries.length === 0) {
+            this.notesHistoryPanel.innerHTML = '<p class="notes-history-empty">Nothing saved in this category yet.</p>';
+            return;
+        }
         
-        sortedGroups.forEach(([markedText, instances]) => {
-            const div = document.createElement('div');
-            div.className = 'word-item';
-            
-            const firstInstance = instances[0];
-            const before = firstInstance.before || '...';
-            const after = firstInstance.after || '...';
-            
-            div.innerHTML = `
-                <div class="word-item-context">
-                    <span class="context-word">${this.escapeHtml(before)}</span>
-                    <span class="marked-word">${this.escapeHtml(markedText)}</span>
-                    <span class="context-word">${this.escapeHtml(after)}</span>
-                </div>
-                <span class="word-item-count">${instances.length}x</span>
+        entries.sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0)).forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'notes-history-entry';
+            item.innerHTML = `
+                <div class="notes-history-date">${entry.savedAt ? this.escapeHtml(new Date(entry.savedAt).toLocaleString()) : 'Earlier notes (from the notes file)'}</div>
+                <div class="markdown-preview">${this.renderMarkdown(entry.content)}</div>
             `;
-            
-            this.summaryList.appendChild(div);
+            this.notesHistoryPanel.appendChild(item);
         });
-        
-        // Show panel and overlay
-        this.summaryPanel.style.display = 'block';
+    }
+    
+    async openNotesSearch() {
+        this.hideNotesDropdown();
+        this.notesSearchPanel.style.display = 'block';
         this.overlay.classList.add('active');
+        this.notesSearchInput.focus();
+        
+        // Notes change between searches, so the index is built fresh each time
+        this.notesSearchIndex = null;
+        this.notesSearchResults.innerHTML = '';
+        this.notesSearchStatus.textContent = 'Reading notes...';
+        const index = await this.buildNotesSearchIndex();
+        if (this.notesSearchPanel.style.display !== 'block') return;
+        
+        this.notesSearchIndex = index;
+        this.runNotesSearch();
     }
     
-    hideSummary() {
-        this.summaryPanel.style.display = 'none';
+    hideNotesSearch() {
+        if (!this.notesSearchPanel) return;
+        this.notesSearchPanel.style.display = 'none';
         this.overlay.classList.remove('active');
+        this.notesSearchIndex = null;
+        this.notesSearchHits = [];
     }
     
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    tokenizeNotes(text) {
+        // Lowercase words with accents folded, so "Resume" also finds "résumé"
+        return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
     }
     
-    continueReading() {
-        // Show all hidden words
-        document.querySelectorAll('.word.hidden').forEach(el => {
-            el.classList.remove('hidden');
-        });
+    async readSearchableNotes(noteType) {
+        // Null when the notes cannot be read without asking: locked, or no file access yet
+        if (this.isNoteCategoryLocked(noteType)) return null;
         
-        // Hide continue button
-        this.continueBtn.style.display = 'none';
-        
-        // Reset state
-        this.textIsHidden = false;
-        this.hiddenFromIndex = -1;
+        const handle = this.notesFileHandles[noteType];
+        if (handle) {
+            let permission = 'prompt';
+            try {
+                permission = await handle.queryPermission({ mode: 'read' });
+            } catch (error) {
+                console.error(`Error checking ${noteType} notes file access:`, error);
+            }
+            if (permission !== 'granted') {
+                // The recorded entries are still searchable without the file
+                const entries = await this.getNoteEntries(noteType);
+                return entries.length > 0 ? entries.map(entry => entry.content).join('\n\n') : null;
+            }
+        }
+        return this.readSavedNotes(noteType);
     }
     
-    getMarkedInstances() {
-        const markedElements = this.readingContent.querySelectorAll('.word.marked');
-        const wordElements = Array.from(this.readingContent.querySelectorAll('.word'));
-        const instances = [];
+    async buildNotesSearchIndex() {
+        // Each category is split into passages at blank lines, and every term maps
+        // to the passages containing it with its count there
+        const index = { passages: [], terms: new Map(), totalLength: 0, skipped: [] };
         
-        // Group consecutive marked words into blocks
-        let i = 0;
-        while (i < wordElements.length) {
-            if (wordElements[i].classList.contains('marked')) {
-                // Found start of a marked block
-                const blockStart = i;
-                let blockEnd = i;
-                
-                // Find end of consecutive marked words
-                while (blockEnd + 1 < wordElements.length && 
-                       wordElements[blockEnd + 1].classList.contains('marked')) {
-                    blockEnd++;
-                }
-                
-                // Get context
-                const beforeElement = blockStart > 0 ? wordElements[blockStart - 1] : null;
-                const afterElement = blockEnd + 1 < wordElements.length ? wordElements[blockEnd + 1] : null;
+        for (const category of this.noteCategories) {
+            const text = await this.readSearchableNotes(category.id);
+            if (text === null) {
+                index.skipped.push(category.id);
+                continue;
+            }
+            
+            // Passages remember the heading above them, usually the entry header
+            let heading = '';
+            text.split(/\n\s*\n/).forEach(block => {
+                const passage = block.trim();
+                const headingLine = passage.match(/^#{1,6}\s+(.*)/);
+                if (headingLine) heading = headingLine[1].trim();
                 
-                // Build marked text (the block)
-                let markedText = '';
-                for (let j = blockStart; j <= blockEnd; j++) {
-                    markedText += wordElements[j].textContent;
-                    if (j < blockEnd) markedText += ' ';
-                }
+                const tokens = this.tokenizeNotes(passage);
+                if (tokens.length === 0) return;
                 
-                instances.push({
-                    markedText: markedText.trim(),
-                    before: beforeElement ? beforeElement.textContent.trim() : null,
-                    after: afterElement ? afterElement.textContent.trim() : null
+                const id = index.passages.push({ noteType: category.id, heading: heading, text: passage, length: tokens.length }) - 1;
+                index.totalLength += tokens.length;
+                tokens.forEach(token => {
+                    if (!index.terms.has(token)) index.terms.set(token, new Map());
+                    const postings = index.terms.get(token);
+                    postings.set(id, (postings.get(id) || 0) + 1);
                 });
-                
-                // Skip to end of block
-                i = blockEnd + 1;
-            } else {
-                i++;
-            }
+            });
         }
         
-        return instances;
+        return index;
     }
     
-    exportList() {
-        if (this.removedWords.length === 0) {
-            alert('No words to export!');
-            return;
-        }
-        
-        // Group by marked text
-        const instancesByWord = new Map();
-        this.removedWords.forEach(instance => {
-            const key = instance.markedText;
-            if (!instancesByWord.has(key)) {
-                instancesByWord.set(key, []);
-            }
-            instancesByWord.get(key).push(instance);
-        });
-        
-        // Create CSV content
-        let csvContent = 'Removed Word(s),Context Before,Context After,Count\n';
+    searchNotes(terms) {
+        // BM25 over the passages; every word has to appear, and the last one
+        // may still be being typed so it also matches as a prefix
+        const index = this.notesSearchIndex;
+        if (!index || terms.length === 0 || index.passages.length === 0) return [];
         
-        const sortedGroups = Array.from(instancesByWord.entries())
-            .sort((a, b) => b[1].length - a[1].length);
+        const k1 = 1.2;
+        const b = 0.75;
+        const count = index.passages.length;
+        const averageLength = index.totalLength / count;
+        let scores = null;
         
-        sortedGroups.forEach(([markedText, instances]) => {
-            const firstInstance = instances[0];
-            const before = firstInstance.before || '';
-            const after = firstInstance.after || '';
-            csvContent += `"${markedText}","${before}","${after}",${instances.length}\n`;
+        terms.forEach((term, i) => {
+            const keys = i === terms.length - 1
+                ? Array.from(index.terms.keys()).filter(key => key.startsWith(term))
+                : [term].filter(key => index.terms.has(key));
+            
+            // A passage scores by the best of the words a prefix expands to
+            const termScores = new Map();
+            keys.forEach(key => {
+                const postings = index.terms.get(key);
+                const idf = Math.log(1 + (count - postings.size + 0.5) / (postings.size + 0.5));
+                postings.forEach((frequency, id) => {
+                    const lengthRatio = index.passages[id].length / averageLength;
+                    const score = idf * frequency * (k1 + 1) / (frequency + k1 * (1 - b + b * lengthRatio));
+                    termScores.set(id, Math.max(termScores.get(id) || 0, score));
+                });
+            });
+            
+            scores = scores === null
+                ? termScores
+                : new Map(Array.from(scores).filter(([id]) => termScores.has(id)).map(([id, score]) => [id, score + termScores.get(id)]));
         });
         
-        // Create download link
-        const blob = new Blob([csvContent], { type: 'text/csv' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = 'removed-words.csv';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+        return Array.from(scores)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 50)
+            .map(([id, score]) => ({ ...index.passages[id], score: score }));
     }
     
-    copyToClipboard() {
-        if (this.removedWords.length === 0) {
-            alert('No words to copy!');
-            return;
-        }
-        
-        // Group by marked text
-        const instancesByWord = new Map();
-        this.removedWords.forEach(instance => {
-            const key = instance.markedText;
-            if (!instancesByWord.has(key)) {
-                instancesByWord.set(key, []);
-            }
-            instancesByWord.get(key).push(instance);
+    buildNotesSnippet(text, terms) {
+        // About 160 characters around the first match, with every match highlighted
+        const plain = text.replace(/\s+/g, ' ');
+        const last = terms[terms.length - 1];
+        const matches = Array.from(plain.matchAll(/[\p{L}\p{N}]+/gu)).filter(match => {
+            const word = this.tokenizeNotes(match[0]).join('');
+            return terms.includes(word) || word.startsWith(last);
         });
         
-        // Create text list
-        const sortedGroups = Array.from(instancesByWord.entries())
-            .sort((a, b) => b[1].length - a[1].length);
+        const radius = 80;
+        const center = matches.length > 0 ? matches[0].index : 0;
+        let from = Math.max(0, center - radius);
+        if (from > 0) {
+            const space = plain.indexOf(' ', from);
+            from = space >= 0 && space < center ? space + 1 : center;
+        }
+        let to = Math.min(plain.length, from + radius * 2);
+        if (to < plain.length) {
+            const space = plain.lastIndexOf(' ', to);
+            if (space > center) to = space;
+        }
         
-        let textContent = 'Removed Words:\n\n';
-        sortedGroups.forEach(([markedText, instances]) => {
-            const firstInstance = instances[0];
-            const before = firstInstance.before || '';
-            const after = firstInstance.after || '';
-            const context = `${before} [${markedText}] ${after}`.trim();
-            textContent += `${context} (${instances.length}x)\n`;
+        let html = '';
+        let position = from;
+        matches.filter(match => match.index >= from && match.index + match[0].length <= to).forEach(match => {
+            html += `${this.escapeHtml(plain.slice(position, match.index))}<mark>${this.escapeHtml(match[0])}</mark>`;
+            position = match.index + match[0].length;
         });
+        html += this.escapeHtml(plain.slice(position, to));
         
-        // Copy to clipboard
-        navigator.clipboard.writeText(textContent).then(() => {
-            // Show temporary feedback
-            const originalText = this.copyBtn.textContent;
-            this.copyBtn.textContent = '✓ Copied!';
-            this.copyBtn.style.background = '#4caf50';
-            
-            setTimeout(() => {
-                this.copyBtn.textContent = originalText;
-                this.copyBtn.style.background = '';
-            }, 2000);
-        }).catch(err => {
-            alert('Failed to copy to clipboard. Please try again.');
-            console.error('Copy failed:', err);
-        });
+        return `${from > 0 ? '… ' : ''}${html}${to < plain.length ? ' …' : ''}`;
     }
     
-    async openNotes(noteType) {
-        if (!this.notesModal) {
-            console.error('Notes modal not found in DOM');
-            return;
-        }
+    runNotesSearch() {
+        clearTimeout(this.notesSearchTimer);
+        const index = this.notesSearchIndex;
+        if (!index) return;
         
-        // Store which note type we're editing (if not already set)
-        if (!this.currentNoteType) {
-            this.currentNoteType = noteType;
+        const terms = this.tokenizeNotes(this.notesSearchInput.value);
+        this.notesSearchHits = this.searchNotes(terms);
+        
+        const searched = this.noteCategories.length - index.skipped.length;
+        let status = terms.length === 0
+            ? `Searching ${searched} ${searched === 1 ? 'category' : 'categories'}.`
+            : `${this.notesSearchHits.length === 50 ? 'Top 50' : this.notesSearchHits.length} ${this.notesSearchHits.length === 1 ? 'match' : 'matches'} in ${searched} ${searched === 1 ? 'category' : 'categories'}.`;
+        const locked = index.skipped.filter(noteType => this.isNoteCategoryLocked(noteType));
+        const unreadable = index.skipped.filter(noteType => !locked.includes(noteType));
+        if (locked.length > 0) {
+            status += ` Locked: ${locked.map(noteType => this.getNoteTitle(noteType)).join(', ')}.`;
+        }
+        if (unreadable.length > 0) {
+            status += ` No file access yet (open them once): ${unreadable.map(noteType => this.getNoteTitle(noteType)).join(', ')}.`;
         }
+        this.notesSearchStatus.textContent = status;
         
-        // Update modal title based on note type
-        const modalTitle = this.notesModal.querySelector('h2');
-        const titles = {
-            car: '🚗 Car Notes',
-            files: '📁 Files Notes',
-            passwords: '🔐 Passwords Notes',
-            chess: '♟️ Chess Notes',
-            business: '💼 Business Notes',
-            lotiontape: '🩹 Lotion Tape Notes',
-            investing: '💰 Investing Notes',
-            blender: '🎨 Blender Notes',
-            organicchemistry: '🧪 Organic Chemistry Notes',
-            math: '🔢 Math Notes',
-            biology: '🧬 Biology Notes',
-            '3dprinting': '🖨️ 3D Printing Notes',
-            python: '🐍 Python Notes',
-            cprogramming: '⚙️ C Programming Notes',
-            cppprogramming: '⚙️ C++ Programming Notes',
-            website: '🌐 Website Notes',
-            apartmentmaintenance: '🏠 Apartment Maintenance Notes',
-            leticiaclass: '📚 Leticia\'s Class Notes',
-            leticiahealth: '💊 Leticia\'s Health Notes'
-        };
-        if (modalTitle) {
-            modalTitle.textContent = titles[noteType] || '📝 Notes';
-        }
-        
-        // Only load file content if textarea is empty (first time opening in this session)
-        if (!this.notesTextarea.value.trim()) {
-            // If we have a file handle for this note type, load existing content
-            if (this.notesFileHandles[noteType]) {
-                try {
-                    const file = await this.notesFileHandles[noteType].getFile();
-                    const content = await file.text();
-                    this.notesTextarea.value = content;
-                } catch (error) {
-                    console.error(`Error reading ${noteType} notes file:`, error);
-                    // File might have been deleted, reset handle
-                    this.notesFileHandles[noteType] = null;
-                }
-            }
+        if (terms.length > 0 && this.notesSearchHits.length === 0) {
+            this.notesSearchResults.innerHTML = '<p class="notes-history-empty">No notes match your search.</p>';
+            return;
         }
-        // If textarea has content, keep it (don't reload from file)
         
-        this.notesModal.style.display = 'flex';
-        this.notesTextarea.focus();
+        this.notesSearchResults.innerHTML = this.notesSearchHits.map((hit, i) => `
+            <button class="notes-search-result" data-hit="${i}">
+                <div class="notes-search-meta">
+                    ${this.escapeHtml(this.getNoteTitle(hit.noteType))}${hit.heading ? ` · ${this.escapeHtml(hit.heading)}` : ''}
+                </div>
+                <div class="notes-search-snippet">${this.buildNotesSnippet(hit.text, terms)}</div>
+            </button>
+        `).join('');
     }
     
-    closeNotes() {
-        if (!this.notesModal) return;
-        // Just hide the modal, don't clear the textarea
-        // Notes will persist until saved or until switching to a different note type
-        this.notesModal.style.display = 'none';
+    async openNotesSearchHit(hit) {
+        const terms = this.tokenizeNotes(this.notesSearchInput.value);
+        this.hideNotesSearch();
+        
+        this.currentNoteType = hit.noteType;
+        await this.openNotes(hit.noteType);
+        await this.showNotesTab('history');
+        
+        // The newest saved entry containing every searched word
+        const last = terms[terms.length - 1];
+        const entry = Array.from(this.notesHistoryPanel.querySelectorAll('.notes-history-entry')).find(item => {
+            const words = this.tokenizeNotes(item.textContent);
+            return terms.every(term => term === last ? words.some(word => word.startsWith(term)) : words.includes(term));
+        });
+        if (entry) {
+            entry.classList.add('search-hit');
+            entry.scrollIntoView({ block: 'center' });
+        }
     }
     
     toggleNotesDropdown() {
@@ -1070,6 +6271,174 @@ class FocusTrackerReader {
         this.notesDropdown.style.display = 'none';
     }
     
+    renderNotesDropdown() {
+        if (!this.notesDropdown) return;
+        
+        this.notesDropdown.innerHTML = '';
+        
+        this.noteCategories.forEach(category => {
+            const item = document.createElement('div');
+            item.className = 'notes-dropdown-item';
+            item.dataset.noteType = category.id;
+            item.textContent = this.getNoteTitle(category.id);
+            this.notesDropdown.appendChild(item);
+        });
+        
+        const searchItem = document.createElement('div');
+        searchItem.className = 'notes-dropdown-item notes-dropdown-manage';
+        searchItem.dataset.action = 'search-notes';
+        searchItem.textContent = '🔍 Search Notes';
+        this.notesDropdown.appendChild(searchItem);
+        
+        const manageItem = document.createElement('div');
+        manageItem.className = 'notes-dropdown-item notes-dropdown-manage';
+        manageItem.dataset.action = 'manage-categories';
+        manageItem.textContent = '⚙️ Manage Categories';
+        this.notesDropdown.appendChild(manageItem);
+    }
+    
+    openCategoriesManager() {
+        if (!this.categoriesModal) return;
+        
+        // Edit a copy so Cancel discards changes
+        this.categoriesList.innerHTML = '';
+        this.noteCategories.forEach(category => this.addCategoryRow(category));
+        
+        this.categoriesModal.style.display = 'flex';
+    }
+    
+    closeCategoriesManager() {
+        if (!this.categoriesModal) return;
+        this.categoriesModal.style.display = 'none';
+    }
+    
+    addCategoryRow(category = null) {
+        const row = document.createElement('div');
+        row.className = 'category-row';
+        row.dataset.categoryId = category ? category.id : '';
+        row.dataset.fileName = category && category.fileName ? category.fileName : '';
+        row.innerHTML = `
+            <input type="text" class="category-emoji" maxlength="4" placeholder="📝">
+            <input type="text" class="category-name" placeholder="Category name">
+            <label class="category-encrypt" title="Encrypt these notes with a passphrase">
+                <input type="checkbox"> 🔒
+            </label>
+            <button class="btn-secondary category-move" data-direction="-1" title="Move up">↑</button>
+            <button class="btn-secondary category-move" data-direction="1" title="Move down">↓</button>
+            <button class="btn-danger category-delete" title="Delete category">✕</button>
+        `;
+        
+        row.querySelector('.category-emoji').value = category ? category.emoji : '📝';
+        row.querySelector('.category-name').value = category ? category.name : '';
+        
+        // Once a passphrase is set the notes on disk are encrypted, so they stay that way
+        const encryptInput = row.querySelector('.category-encrypt input');
+        encryptInput.checked = !!(category && category.encrypted);
+        if (category && this.notesEncryption[category.id]) {
+            encryptInput.disabled = true;
+            encryptInput.parentElement.title = 'These notes are encrypted with a passphrase';
+        }
+        
+        row.querySelectorAll('.category-move').forEach(button => {
+            button.addEventListener('click', () => {
+                const direction = parseInt(button.dataset.direction);
+                const sibling = direction < 0 ? row.previousElementSibling : row.nextElementSibling;
+                if (!sibling) return;
+                
+                if (direction < 0) {
+                    this.categoriesList.insertBefore(row, sibling);
+                } else {
+                    this.categoriesList.insertBefore(sibling, row);
+                }
+            });
+        });
+        
+        row.querySelector('.category-delete').addEventListener('click', () => {
+            const name = row.querySelector('.category-name').value.trim() || 'this category';
+            if (row.dataset.categoryId && !confirm(`Delete ${name}? Its notes file will be kept, but it will no longer appear in the list.`)) {
+                return;
+            }
+            row.remove();
+        });
+        
+        this.categoriesList.appendChild(row);
+        
+        if (!category) {
+            row.querySelector('.category-name').focus();
+        }
+    }
+    
+    saveCategoriesFromManager() {
+        const rows = Array.from(this.categoriesList.querySelectorAll('.category-row'));
+        const categories = [];
+        const usedIds = new Set();
+        
+        for (const row of rows) {
+            const name = row.querySelector('.category-name').value.trim();
+            const emoji = row.querySelector('.category-emoji').value.trim() || '📝';
+            
+            if (!name) {
+                alert('Every category needs a name.');
+                row.querySelector('.category-name').focus();
+                return;
+            }
+            
+            // Existing categories keep their id so saved file handles and notes stay linked
+            let id = row.dataset.categoryId;
+            if (!id) {
+                const baseId = this.slugify(name).replace(/-/g, '');
+                id = baseId;
+                let suffix = 2;
+                while (usedIds.has(id) || this.isNoteCategoryIdTaken(id)) {
+                    id = `${baseId}${suffix++}`;
+                }
+            }
+            usedIds.add(id);
+            
+            // The suggested file name follows a rename until a file is linked
+            const existing = this.getNoteCategory(id);
+            const renamed = existing && existing.name !== name && !this.notesFileHandles[id];
+            
+            categories.push({
+                id: id,
+                name: name,
+                emoji: emoji,
+                fileName: row.dataset.fileName && !renamed ? row.dataset.fileName : `${this.slugify(name)}-notes.txt`,
+                encrypted: row.querySelector('.category-encrypt input').checked
+            });
+        }
+        
+        if (categories.length === 0) {
+            alert('Keep at least one notes category.');
+            return;
+        }
+        
+        // Forget file handles of deleted categories; their ids stay retired so a new
+        // category never picks up their stored notes, history or passphrase
+        this.noteCategories.forEach(category => {
+            if (!usedIds.has(category.id)) {
+                this.retiredNoteCategoryIds.push(category.id);
+                delete this.notesFileHandles[category.id];
+                this.deleteFileHandle(category.id);
+                if (this.currentNoteType === category.id) {
+                    this.currentNoteType = null;
+                    this.notesTextarea.value = '';
+                }
+            }
+        });
+        categories.forEach(category => {
+            if (!(category.id in this.notesFileHandles)) {
+                this.notesFileHandles[category.id] = null;
+            }
+        });
+        
+        this.noteCategories = categories;
+        this.saveNoteCategories();
+        localStorage.setItem('retiredNoteCategoryIds', JSON.stringify(this.retiredNoteCategoryIds));
+        this.renderNotesDropdown();
+        this.closeCategoriesManager();
+    }
+    
     async saveNotes() {
         const newNotes = this.notesTextarea.value.trim();
         
@@ -1078,15 +6447,37 @@ class FocusTrackerReader {
             return;
         }
         
-        // Wrap text at 80 characters for readability
+        if (!this.currentNoteType) {
+            alert('Please choose a category for these notes first.');
+            this.notesCategorySelect.focus();
+            return;
+        }
+        
+        // The category may have locked itself while the editor was open
+        if (this.isNoteCategoryLocked(this.currentNoteType)) {
+            this.showNotesTab('write');
+            return;
+        }
+        
+        // Wrap prose at 80 characters for readability; code and lists keep their layout
         const wrappedNotes = this.wrapText(newNotes, 80);
+        const noteType = this.currentNoteType;
+        
+        const entry = this.buildNoteEntry(wrappedNotes);
         
+        let saved;
         if (this.fileSystemSupported) {
             // Use File System Access API
-            await this.saveNotesWithFileSystemAPI(wrappedNotes);
+            saved = await this.saveNotesWithFileSystemAPI(entry);
         } else {
             // Fallback to download method
-            await this.saveNotesWithDownload(wrappedNotes);
+            saved = await this.saveNotesWithDownload(entry);
+        }
+        
+        if (saved) {
+            this.noteContext = null;
+            await this.recordNoteEntry(noteType, entry);
+            this.resetNotesAutoLock();
         }
     }
     
@@ -1101,38 +6492,16 @@ class FocusTrackerReader {
             console.log(`Starting save process for ${noteType} notes...`);
             console.log('Current file handle:', this.notesFileHandles[noteType]);
             
-            // File name mapping
-            const fileNames = {
-                car: 'car-notes.txt',
-                files: 'files-notes.txt',
-                passwords: 'passwords-notes.txt',
-                chess: 'chess-notes.txt',
-                business: 'business-notes.txt',
-                lotiontape: 'lotion-tape-notes.txt',
-                investing: 'investing-notes.txt',
-                blender: 'blender-notes.txt',
-                organicchemistry: 'organic-chemistry-notes.txt',
-                math: 'math-notes.txt',
-                biology: 'biology-notes.txt',
-                '3dprinting': '3d-printing-notes.txt',
-                python: 'python-notes.txt',
-                cprogramming: 'c-programming-notes.txt',
-                cppprogramming: 'cpp-programming-notes.txt',
-                website: 'website-notes.txt',
-                apartmentmaintenance: 'apartment-maintenance-notes.txt',
-                leticiaclass: 'leticia-class-notes.txt',
-                leticiahealth: 'leticia-health-notes.txt'
-            };
-            
             // If we don't have a file handle, ask user to select/create file
             if (!this.notesFileHandles[noteType]) {
                 console.log('No file handle found, showing file picker...');
                 this.notesFileHandles[noteType] = await window.showSaveFilePicker({
-                    suggestedName: fileNames[noteType],
+                    suggestedName: this.getNoteFileName(noteType),
                     types: [{
                         description: 'Text Files',
                         accept: {
-                            'text/plain': ['.txt']
+                            'text/plain': ['.txt'],
+                            'text/markdown': ['.md']
                         }
                     }]
                 });
@@ -1185,6 +6554,9 @@ class FocusTrackerReader {
                 console.log('No existing content, starting fresh');
             }
             
+            // Encrypted notes are decrypted, appended to and encrypted again as a whole
+            existingContent = await this.decryptNotesFile(noteType, existingContent);
+            
             // Append new notes to existing content
             let finalContent;
             if (existingContent.trim()) {
@@ -1193,6 +6565,9 @@ class FocusTrackerReader {
             } else {
                 finalContent = content;
             }
+            if (this.isNoteCategoryEncrypted(noteType)) {
+                finalContent = await this.encryptNotesFile(noteType, finalContent);
+            }
             
             console.log('Final content length:', finalContent.length);
             
@@ -1210,6 +6585,7 @@ class FocusTrackerReader {
             this.closeNotes();
             
             alert('Notes saved successfully to the same file!');
+            return true;
             
         } catch (error) {
             if (error.name === 'AbortError') {
@@ -1230,32 +6606,16 @@ class FocusTrackerReader {
             return;
         }
         
-        // File name mapping
-        const fileNames = {
-            car: 'car-notes.txt',
-            files: 'files-notes.txt',
-            passwords: 'passwords-notes.txt',
-            chess: 'chess-notes.txt',
-            business: 'business-notes.txt',
-            lotiontape: 'lotion-tape-notes.txt',
-            investing: 'investing-notes.txt',
-            blender: 'blender-notes.txt',
-            organicchemistry: 'organic-chemistry-notes.txt',
-            math: 'math-notes.txt',
-            biology: 'biology-notes.txt',
-            '3dprinting': '3d-printing-notes.txt',
-            python: 'python-notes.txt',
-            cprogramming: 'c-programming-notes.txt',
-            cppprogramming: 'cpp-programming-notes.txt',
-            website: 'website-notes.txt',
-            apartmentmaintenance: 'apartment-maintenance-notes.txt',
-            leticiaclass: 'leticia-class-notes.txt',
-            leticiahealth: 'leticia-health-notes.txt'
-        };
-        
         // Get existing notes from localStorage for this note type
         const storageKey = `${noteType}Notes`;
-        let existingNotes = localStorage.getItem(storageKey) || '';
+        let existingNotes;
+        try {
+            existingNotes = await this.decryptNotesFile(noteType, localStorage.getItem(storageKey) || '');
+        } catch (error) {
+            console.error('Error saving notes:', error);
+            alert('Error saving notes: ' + error.message);
+            return;
+        }
         
         // Append new notes without timestamp
         if (existingNotes) {
@@ -1264,7 +6624,10 @@ class FocusTrackerReader {
             existingNotes = content;
         }
         
-        // Save back to localStorage
+        // Save back to localStorage (encrypted categories only ever store the encrypted file)
+        if (this.isNoteCategoryEncrypted(noteType)) {
+            existingNotes = await this.encryptNotesFile(noteType, existingNotes);
+        }
         localStorage.setItem(storageKey, existingNotes);
         
         // Download the complete notes file
@@ -1272,7 +6635,7 @@ class FocusTrackerReader {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = fileNames[noteType];
+        a.download = this.getNoteFileName(noteType);
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -1285,20 +6648,33 @@ class FocusTrackerReader {
         this.closeNotes();
         
         alert('Notes saved and downloaded! (Using fallback method - a new file will be created each time)');
+        return true;
     }
     
     wrapText(text, maxLineLength) {
-        const paragraphs = text.split('\n');
-        const wrappedParagraphs = paragraphs.map(paragraph => {
-            if (paragraph.trim().length === 0) {
-                return '';
+        // Only prose is re-flowed: fenced code, list items, headings, quotes,
+        // tables and indented lines keep their exact layout
+        let openFence = null;
+        
+        return text.split('\n').map(line => {
+            const fence = line.match(/^\s*(```|~~~)/);
+            if (openFence) {
+                if (fence && fence[1] === openFence) openFence = null;
+                return line;
+            }
+            if (fence) {
+                openFence = fence[1];
+                return line;
+            }
+            
+            if (line.length <= maxLineLength || /^(\s|#|>|\||[-*+]\s|\d+[.)]\s)/.test(line)) {
+                return line;
             }
             
-            const words = paragraph.split(' ');
+            // Words (and URLs) are never split, only moved to the next line
             const lines = [];
             let currentLine = '';
-            
-            words.forEach(word => {
+            line.split(' ').forEach(word => {
                 if ((currentLine + ' ' + word).length <= maxLineLength) {
                     currentLine += (currentLine ? ' ' : '') + word;
                 } else {
@@ -1314,9 +6690,7 @@ class FocusTrackerReader {
             }
             
             return lines.join('\n');
-        });
-        
-        return wrappedParagraphs.join('\n');
+        }).join('\n');
     }
 }
 